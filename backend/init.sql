@@ -24,7 +24,11 @@ CREATE TABLE IF NOT EXISTS winner_selections (
     prompt TEXT NOT NULL,
     response TEXT NOT NULL,
     selected_at TIMESTAMP WITHOUT TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    session_id VARCHAR(255)
+    session_id VARCHAR(255),
+    blind BOOLEAN DEFAULT FALSE,
+    competitors TEXT,
+    round_id VARCHAR(255),
+    judge_verdict TEXT
 );
 
 -- =========================
@@ -40,6 +44,40 @@ CREATE TABLE IF NOT EXISTS chat_history (
     response_time_ms INT
 );
 
+-- =========================
+-- Round Reviews table
+-- =========================
+CREATE TABLE IF NOT EXISTS round_reviews (
+    id BIGSERIAL PRIMARY KEY,
+    session_id VARCHAR(255),
+    prompt TEXT NOT NULL,
+    rankings TEXT,
+    criteria TEXT,
+    scores TEXT,
+    notes TEXT,
+    created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =========================
+-- Arena Rounds table
+-- =========================
+CREATE TABLE IF NOT EXISTS arena_rounds (
+    id BIGSERIAL PRIMARY KEY,
+    round_id VARCHAR(255) NOT NULL,
+    session_id VARCHAR(255),
+    prompt TEXT NOT NULL,
+    expected TEXT,
+    response_schema TEXT,
+    entries TEXT,
+    attachments TEXT,
+    judge_verdict TEXT,
+    concurrency INT,
+    started_at TIMESTAMP WITHOUT TIME ZONE,
+    finished_at TIMESTAMP WITHOUT TIME ZONE,
+    created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (session_id, round_id)
+);
+
 -- =========================================================
 -- Indexes (performance-critical)
 -- =========================================================
@@ -59,6 +97,14 @@ CREATE INDEX IF NOT EXISTS idx_chat_history_model
 CREATE INDEX IF NOT EXISTS idx_winner_selections_session
     ON winner_selections(session_id);
 
+-- Round reviews lookup
+CREATE INDEX IF NOT EXISTS idx_round_reviews_session
+    ON round_reviews(session_id);
+
+-- Arena rounds lookup
+CREATE INDEX IF NOT EXISTS idx_arena_rounds_session
+    ON arena_rounds(session_id);
+
 -- =========================================================
 -- Trigger to auto-update updated_at column
 -- =========================================================
@@ -0,0 +1,100 @@
+package com.aira.backend;
+
+import jakarta.persistence.*;
+import java.util.Date;
+
+// ArenaRound Entity: one master prompt and every model's reply to it, stored as a unit
+@Entity
+@Table(name = "arena_rounds", uniqueConstraints = @UniqueConstraint(columnNames = { "session_id", "round_id" }))
+class ArenaRound {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+    
+    // Id the frontend's round coordinator gave the round, unique per session; saving it again updates the row
+    @Column(name = "round_id", nullable = false)
+    private String roundId;
+    
+    @Column(name = "session_id")
+    private String sessionId;
+    
+    @Column(nullable = false, columnDefinition = "TEXT")
+    private String prompt;
+    
+    // Reference answer the replies were scored against, null when there was none
+    @Column(columnDefinition = "TEXT")
+    private String expected;
+    
+    // JSON schema the replies had to follow (structured output mode), null for free text
+    @Column(name = "response_schema", columnDefinition = "TEXT")
+    private String responseSchema;
+    
+    // JSON array, one object per model: modelIdentifier, status, response, error, timings, usage, cost,
+    // scores, validation
+    @Column(columnDefinition = "TEXT")
+    private String entries;
+    
+    // JSON array of attached file names
+    @Column(columnDefinition = "TEXT")
+    private String attachments;
+    
+    // JSON object of the LLM judge's verdict, null when the round wasn't graded
+    @Column(name = "judge_verdict", columnDefinition = "TEXT")
+    private String judgeVerdict;
+    
+    // Models allowed to answer at once, 0 for no cap
+    private Integer concurrency;
+    
+    @Column(name = "started_at")
+    @Temporal(TemporalType.TIMESTAMP)
+    private Date startedAt;
+    
+    // Null while the round was still running (e.g. superseded by the next prompt)
+    @Column(name = "finished_at")
+    @Temporal(TemporalType.TIMESTAMP)
+    private Date finishedAt;
+    
+    @Column(name = "created_at")
+    @Temporal(TemporalType.TIMESTAMP)
+    private Date createdAt = new Date();
+    
+    // Getters and Setters
+    public Long getId() { return id; }
+    public void setId(Long id) { this.id = id; }
+    
+    public String getRoundId() { return roundId; }
+    public void setRoundId(String roundId) { this.roundId = roundId; }
+    
+    public String getSessionId() { return sessionId; }
+    public void setSessionId(String sessionId) { this.sessionId = sessionId; }
+    
+    public String getPrompt() { return prompt; }
+    public void setPrompt(String prompt) { this.prompt = prompt; }
+    
+    public String getExpected() { return expected; }
+    public void setExpected(String expected) { this.expected = expected; }
+    
+    public String getResponseSchema() { return responseSchema; }
+    public void setResponseSchema(String responseSchema) { this.responseSchema = responseSchema; }
+    
+    public String getEntries() { return entries; }
+    public void setEntries(String entries) { this.entries = entries; }
+    
+    public String getAttachments() { return attachments; }
+    public void setAttachments(String attachments) { this.attachments = attachments; }
+    
+    public String getJudgeVerdict() { return judgeVerdict; }
+    public void setJudgeVerdict(String judgeVerdict) { this.judgeVerdict = judgeVerdict; }
+    
+    public Integer getConcurrency() { return concurrency; }
+    public void setConcurrency(Integer concurrency) { this.concurrency = concurrency; }
+    
+    public Date getStartedAt() { return startedAt; }
+    public void setStartedAt(Date startedAt) { this.startedAt = startedAt; }
+    
+    public Date getFinishedAt() { return finishedAt; }
+    public void setFinishedAt(Date finishedAt) { this.finishedAt = finishedAt; }
+    
+    public Date getCreatedAt() { return createdAt; }
+    public void setCreatedAt(Date createdAt) { this.createdAt = createdAt; }
+}
@@ -0,0 +1,12 @@
+package com.aira.backend;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.stereotype.Repository;
+import java.util.List;
+import java.util.Optional;
+
+@Repository
+interface ArenaRoundRepository extends JpaRepository<ArenaRound, Long> {
+    List<ArenaRound> findBySessionIdOrderByStartedAtDesc(String sessionId);
+    Optional<ArenaRound> findByRoundIdAndSessionId(String roundId, String sessionId);
+}
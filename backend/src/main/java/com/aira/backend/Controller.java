@@ -4,17 +4,53 @@ import java.util.*;
 import javax.crypto.Cipher;
 import javax.crypto.spec.SecretKeySpec;
 import java.util.Base64;
+import dev.langchain4j.data.message.AiMessage;
+import dev.langchain4j.data.message.ChatMessage;
+import dev.langchain4j.data.message.Content;
+import dev.langchain4j.data.message.ImageContent;
+import dev.langchain4j.data.message.SystemMessage;
+import dev.langchain4j.data.message.TextContent;
+import dev.langchain4j.data.message.UserMessage;
+import dev.langchain4j.model.StreamingResponseHandler;
 import dev.langchain4j.model.chat.ChatLanguageModel;
+import dev.langchain4j.model.chat.StreamingChatLanguageModel;
+import dev.langchain4j.model.chat.request.ResponseFormat;
+import dev.langchain4j.model.chat.request.ResponseFormatType;
+import dev.langchain4j.model.chat.request.json.JsonArraySchema;
+import dev.langchain4j.model.chat.request.json.JsonBooleanSchema;
+import dev.langchain4j.model.chat.request.json.JsonEnumSchema;
+import dev.langchain4j.model.chat.request.json.JsonIntegerSchema;
+import dev.langchain4j.model.chat.request.json.JsonNumberSchema;
+import dev.langchain4j.model.chat.request.json.JsonObjectSchema;
+import dev.langchain4j.model.chat.request.json.JsonSchema;
+import dev.langchain4j.model.chat.request.json.JsonSchemaElement;
+import dev.langchain4j.model.chat.request.json.JsonStringSchema;
+import dev.langchain4j.model.output.Response;
+import dev.langchain4j.model.output.TokenUsage;
 import dev.langchain4j.model.openai.OpenAiChatModel;
+import dev.langchain4j.model.openai.OpenAiStreamingChatModel;
 import dev.langchain4j.model.anthropic.AnthropicChatModel;
+import dev.langchain4j.model.anthropic.AnthropicStreamingChatModel;
 import dev.langchain4j.model.googleai.GoogleAiGeminiChatModel;
+import dev.langchain4j.model.googleai.GoogleAiGeminiStreamingChatModel;
 import dev.langchain4j.model.mistralai.MistralAiChatModel;
+import dev.langchain4j.model.mistralai.MistralAiStreamingChatModel;
 // import dev.langchain4j.model.cohere.CohereChatModel;
+import com.fasterxml.jackson.core.type.TypeReference;
+import com.fasterxml.jackson.databind.ObjectMapper;
 import org.springframework.beans.factory.annotation.Autowired;
 import org.springframework.beans.factory.annotation.Value;
 import org.springframework.web.bind.annotation.*;
 import org.springframework.http.ResponseEntity;
 import org.springframework.http.HttpStatus;
+import org.springframework.http.MediaType;
+import org.springframework.web.servlet.mvc.method.annotation.SseEmitter;
+import com.fasterxml.jackson.databind.JsonNode;
+import java.net.URI;
+import java.net.http.HttpClient;
+import java.net.http.HttpRequest;
+import java.net.http.HttpResponse;
+import java.time.Duration;
 import jakarta.servlet.http.Cookie;
 import jakarta.servlet.http.HttpServletRequest;
 import jakarta.servlet.http.HttpServletResponse;
@@ -23,6 +59,30 @@ import jakarta.servlet.http.HttpServletResponse;
 @CrossOrigin(originPatterns = "*", allowCredentials = "true")
 public class Controller {
 
+    // Upper bound for a single streamed reply before the emitter is closed
+    private static final long STREAM_TIMEOUT_MS = 5 * 60 * 1000L;
+
+    // Providers added by the user are OpenAI-compatible endpoints named "custom_<name>"
+    private static final String CUSTOM_PROVIDER_PREFIX = "custom_";
+
+    // Sent when a custom provider has no key; local servers ignore the header
+    private static final String NO_API_KEY = "no-key";
+
+    private static final Duration DISCOVERY_TIMEOUT = Duration.ofSeconds(10);
+
+    // Cheapest model per provider, used by /api/keys/test
+    private static final Map<String, String> KEY_TEST_MODELS = Map.of(
+            "openai", "gpt-4o-mini",
+            "claude", "claude-3-haiku-20240307",
+            "cohere", "command-r7b-12-2024",
+            "copilot", "gpt-4-turbo",
+            "deepseek", "deepseek-chat",
+            "gemini", "gemini-1.5-flash",
+            "grok", "grok-beta",
+            "llama", "llama-3.1-8b-instruct",
+            "mistral", "mistral-small-latest",
+            "qwen", "qwen-turbo");
+
     @Value("${app.encryption.key:YourSecretKey12345}")
     private String encryptionKey;
 
@@ -35,6 +95,15 @@ public class Controller {
     @Autowired
     private ChatHistoryRepository chatHistoryRepository;
 
+    @Autowired
+    private RoundReviewRepository roundReviewRepository;
+
+    @Autowired
+    private ArenaRoundRepository arenaRoundRepository;
+
+    @Autowired
+    private ObjectMapper objectMapper;
+
     // Langchain4j handles connections so we omit manual HTTP clients
 
     @PostMapping("/api/models/provider")
@@ -86,6 +155,62 @@ public class Controller {
         return Map.of("models", models);
     }
 
+    /**
+     * Lists the models of a custom OpenAI-compatible endpoint (vLLM, Ollama,
+     * LM Studio...) through its /models route. Langchain4j has no model
+     * listing, so this goes through the JDK HttpClient. Uses the key sent with
+     * the request, else the key stored for the provider, else none.
+     */
+    @PostMapping("/api/models/discover")
+    public ResponseEntity<Map<String, Object>> discoverModels(
+            @RequestBody Map<String, String> body,
+            HttpServletRequest request) {
+        try {
+            String baseUrl = requireBaseUrl(body.get("baseUrl"));
+            String apiKey = body.get("apiKey");
+            String provider = body.get("provider");
+            String sessionId = getSessionId(request);
+
+            if ((apiKey == null || apiKey.isBlank()) && provider != null && sessionId != null) {
+                Optional<ApiKey> stored = apiKeyRepository.findBySessionIdAndProvider(sessionId, provider);
+                if (stored.isPresent()) {
+                    apiKey = decrypt(stored.get().getEncryptedKey());
+                }
+            }
+
+            HttpRequest.Builder discoveryRequest = HttpRequest.newBuilder(URI.create(baseUrl + "/models"))
+                    .timeout(DISCOVERY_TIMEOUT)
+                    .GET();
+            if (apiKey != null && !apiKey.isBlank()) {
+                discoveryRequest.header("Authorization", "Bearer " + apiKey);
+            }
+
+            HttpClient client = HttpClient.newBuilder().connectTimeout(DISCOVERY_TIMEOUT).build();
+            HttpResponse<String> response = client.send(discoveryRequest.build(), HttpResponse.BodyHandlers.ofString());
+
+            if (response.statusCode() != 200) {
+                return ResponseEntity.status(HttpStatus.BAD_GATEWAY)
+                        .body(Map.of("error", "Endpoint answered with status " + response.statusCode()));
+            }
+
+            List<String> models = new ArrayList<>();
+            for (JsonNode model : objectMapper.readTree(response.body()).path("data")) {
+                String id = model.path("id").asText("");
+                if (!id.isEmpty()) {
+                    models.add(id);
+                }
+            }
+            Collections.sort(models);
+
+            return ResponseEntity.ok(Map.of("models", models));
+        } catch (IllegalArgumentException e) {
+            return ResponseEntity.badRequest().body(Map.of("error", e.getMessage()));
+        } catch (Exception e) {
+            return ResponseEntity.status(HttpStatus.BAD_GATEWAY)
+                    .body(Map.of("error", "Could not reach endpoint: " + e.getMessage()));
+        }
+    }
+
     @PostMapping("/api/keys/save")
     public ResponseEntity<Map<String, Object>> saveApiKey(
             @RequestBody Map<String, String> body,
@@ -149,36 +274,44 @@ public class Controller {
 
     @PostMapping("/api/process")
     public ResponseEntity<Map<String, Object>> processChat(
-            @RequestBody Map<String, String> body,
-            HttpServletRequest request) {
+            @RequestBody Map<String, Object> body,
+            HttpServletRequest request,
+            HttpServletResponse response) {
         long startTime = System.currentTimeMillis();
 
         try {
-            String modelIdentifier = body.get("modelIdentifier");
-            String prompt = body.get("prompt");
-            String encryptedApiKey = body.get("encryptedApiKey");
+            String modelIdentifier = getString(body, "modelIdentifier");
+            if (modelIdentifier == null || modelIdentifier.isBlank()) {
+                return ResponseEntity.status(HttpStatus.BAD_REQUEST)
+                        .body(errorBody("Model identifier is required", null, ErrorCategory.INVALID_REQUEST));
+            }
+
+            GenerationParams params = GenerationParams.from(body.get("params"));
+            List<ChatMessage> messages = toChatMessages(body, params);
+            String prompt = lastUserPrompt(messages);
+            String provider = modelIdentifier.split("-")[0];
+            String apiKey = resolveApiKey(provider, getString(body, "apiKey"));
 
             // Validate inputs
-            if (encryptedApiKey == null || encryptedApiKey.trim().isEmpty()) {
+            if (apiKey == null) {
                 return ResponseEntity.status(HttpStatus.BAD_REQUEST)
-                        .body(Map.of("error", "API key not found. Please add it using the + button.", "success",
-                                false));
+                        .body(errorBody("API key not found. Please add it using the + button.", null,
+                                ErrorCategory.INVALID_KEY));
             }
 
             if (prompt == null || prompt.trim().isEmpty()) {
                 return ResponseEntity.status(HttpStatus.BAD_REQUEST)
-                        .body(Map.of("error", "Prompt is required", "success", false));
+                        .body(errorBody("Prompt is required", null, ErrorCategory.INVALID_REQUEST));
             }
 
-            String provider = modelIdentifier.split("-")[0];
             String modelName = extractModelName(modelIdentifier);
-            String apiKey = decrypt(encryptedApiKey);
-
-            String aiResponse = callAiApi(provider, modelName, prompt, apiKey);
+            Response<AiMessage> aiResult = callAiApi(provider, modelName, messages, apiKey,
+                    getString(body, "baseUrl"), params, getResponseSchema(body));
+            String aiResponse = aiResult.content().text();
 
-            // Save to chat history
-            String sessionId = getSessionId(request);
-            if (sessionId != null) {
+            // Save to chat history; replies within a round are saved with the whole round instead
+            String sessionId = getOrCreateSessionId(request, response);
+            if (sessionId != null && savesToHistory(body)) {
                 ChatHistory history = new ChatHistory();
                 history.setSessionId(sessionId);
                 history.setModelIdentifier(modelIdentifier);
@@ -188,34 +321,141 @@ public class Controller {
                 chatHistoryRepository.save(history);
             }
 
-            return ResponseEntity.ok(Map.of("reply", aiResponse, "success", true));
+            return ResponseEntity.ok(Map.of("reply", aiResponse, "usage", toUsage(aiResult.tokenUsage()),
+                    "success", true));
 
         } catch (Exception e) {
             e.printStackTrace();
+            ErrorCategory category = ErrorCategory.of(e);
             return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR)
-                    .body(Map.of("error", e.getMessage(), "success", false));
+                    .body(errorBody(category.summary(), e.getMessage(), category));
+        }
+    }
+
+    /**
+     * Streaming variant of /api/process. Replies are pushed as Server-Sent Events:
+     * "token" events carry each chunk, "done" carries the full reply and
+     * "error" carries a failure message. The stream is always completed after
+     * "done" or "error".
+     */
+    @PostMapping(value = "/api/process/stream", produces = MediaType.TEXT_EVENT_STREAM_VALUE)
+    public SseEmitter processChatStream(
+            @RequestBody Map<String, Object> body,
+            HttpServletRequest request,
+            HttpServletResponse response) {
+        long startTime = System.currentTimeMillis();
+        SseEmitter emitter = new SseEmitter(STREAM_TIMEOUT_MS);
+
+        boolean savesToHistory = savesToHistory(body);
+        // Read or set the cookie now, the request and response are recycled once this method returns
+        String sessionId = getOrCreateSessionId(request, response);
+
+        try {
+            String modelIdentifier = getString(body, "modelIdentifier");
+            if (modelIdentifier == null || modelIdentifier.isBlank()) {
+                sendStreamError(emitter, "Model identifier is required", null, ErrorCategory.INVALID_REQUEST);
+                return emitter;
+            }
+
+            GenerationParams params = GenerationParams.from(body.get("params"));
+            List<ChatMessage> messages = toChatMessages(body, params);
+            String prompt = lastUserPrompt(messages);
+            String provider = modelIdentifier.split("-")[0];
+            String apiKey = resolveApiKey(provider, getString(body, "apiKey"));
+
+            // Validate inputs
+            if (apiKey == null) {
+                sendStreamError(emitter, "API key not found. Please add it using the + button.", null,
+                        ErrorCategory.INVALID_KEY);
+                return emitter;
+            }
+
+            if (prompt == null || prompt.trim().isEmpty()) {
+                sendStreamError(emitter, "Prompt is required", null, ErrorCategory.INVALID_REQUEST);
+                return emitter;
+            }
+
+            String modelName = extractModelName(modelIdentifier);
+            StreamingChatLanguageModel chatModel = buildStreamingModel(provider, modelName, apiKey,
+                    getString(body, "baseUrl"), params, getResponseSchema(body));
+
+            chatModel.generate(messages, new StreamingResponseHandler<AiMessage>() {
+                @Override
+                public void onNext(String token) {
+                    sendStreamEvent(emitter, "token", Map.of("token", token));
+                }
+
+                @Override
+                public void onComplete(Response<AiMessage> response) {
+                    String aiResponse = response.content().text();
+
+                    // Save to chat history; replies within a round are saved with the whole round instead
+                    if (sessionId != null && savesToHistory) {
+                        ChatHistory history = new ChatHistory();
+                        history.setSessionId(sessionId);
+                        history.setModelIdentifier(modelIdentifier);
+                        history.setPrompt(prompt);
+                        history.setResponse(aiResponse);
+                        history.setResponseTimeMs((int) (System.currentTimeMillis() - startTime));
+                        chatHistoryRepository.save(history);
+                    }
+
+                    sendStreamEvent(emitter, "done", Map.of("reply", aiResponse,
+                            "usage", toUsage(response.tokenUsage()), "success", true));
+                    emitter.complete();
+                }
+
+                @Override
+                public void onError(Throwable error) {
+                    error.printStackTrace();
+                    ErrorCategory category = ErrorCategory.of(error);
+                    sendStreamError(emitter, category.summary(), error.getMessage(), category);
+                }
+            });
+        } catch (Exception e) {
+            e.printStackTrace();
+            ErrorCategory category = ErrorCategory.of(e);
+            sendStreamError(emitter, category.summary(), e.getMessage(), category);
         }
+
+        return emitter;
     }
 
     @PostMapping("/api/select-winner")
     public ResponseEntity<Map<String, Object>> selectWinner(
-            @RequestBody Map<String, String> body,
-            HttpServletRequest request) {
+            @RequestBody Map<String, Object> body,
+            HttpServletRequest request,
+            HttpServletResponse response) {
         try {
-            String modelIdentifier = body.get("modelIdentifier");
-            String prompt = body.get("prompt");
-            String aiResponse = body.get("response");
-            String sessionId = getSessionId(request);
+            String modelIdentifier = getString(body, "modelIdentifier");
+            String prompt = getString(body, "prompt");
+            String aiResponse = getString(body, "response");
+            String sessionId = getOrCreateSessionId(request, response);
 
             WinnerSelection winner = new WinnerSelection();
             winner.setModelIdentifier(modelIdentifier);
             winner.setPrompt(prompt);
             winner.setResponse(aiResponse);
             winner.setSessionId(sessionId);
+            winner.setBlind(Boolean.TRUE.equals(body.get("blind")));
+            if (body.get("competitors") instanceof List<?> competitors) {
+                winner.setCompetitors(objectMapper.writeValueAsString(competitors));
+            }
 
-            winnerRepository.save(winner);
+            // The judge's verdict comes with batch picks; an arena round's verdict is saved with the round
+            String roundId = getString(body, "roundId");
+            winner.setRoundId(roundId);
+            if (body.get("judgeVerdict") instanceof Map<?, ?> verdict) {
+                winner.setJudgeVerdict(objectMapper.writeValueAsString(verdict));
+            } else if (roundId != null) {
+                arenaRoundRepository.findByRoundIdAndSessionId(roundId, sessionId)
+                        .ifPresent(round -> winner.setJudgeVerdict(round.getJudgeVerdict()));
+            }
+
+            WinnerSelection saved = winnerRepository.save(winner);
 
-            return ResponseEntity.ok(Map.of("success", true, "message", "Winner recorded successfully"));
+            return ResponseEntity.ok(Map.of("success", true, "message", "Winner recorded successfully",
+                    "id", saved.getId()));
         } catch (Exception e) {
             return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR)
                     .body(Map.of("error", "Failed to record winner: " + e.getMessage()));
@@ -229,7 +469,7 @@ public class Controller {
         try {
             String sessionId = getSessionId(request);
             if (sessionId == null) {
-                return ResponseEntity.ok(Map.of("history", List.of()));
+                return ResponseEntity.ok(Map.of("history", List.of(), "rounds", List.of()));
             }
 
             List<ChatHistory> history = chatHistoryRepository.findBySessionIdOrderByCreatedAtDesc(sessionId);
@@ -245,7 +485,32 @@ public class Controller {
                 return entry;
             }).toList();
 
-            return ResponseEntity.ok(Map.of("history", historyList));
+            // The 👑 pick of each round, the latest one if it was picked again
+            Map<String, String> winnersByRound = new HashMap<>();
+            winnerRepository.findBySessionId(sessionId).stream()
+                    .filter(w -> w.getRoundId() != null)
+                    .sorted(Comparator.comparing(WinnerSelection::getSelectedAt,
+                            Comparator.nullsFirst(Comparator.naturalOrder())))
+                    .forEach(w -> winnersByRound.put(w.getRoundId(), w.getModelIdentifier()));
+
+            List<Map<String, Object>> rounds = arenaRoundRepository.findBySessionIdOrderByStartedAtDesc(sessionId)
+                    .stream().map(r -> {
+                        Map<String, Object> entry = new LinkedHashMap<>();
+                        entry.put("roundId", r.getRoundId());
+                        entry.put("prompt", r.getPrompt());
+                        entry.put("expected", r.getExpected());
+                        entry.put("responseSchema", parseJson(r.getResponseSchema()));
+                        entry.put("entries", parseJson(r.getEntries()));
+                        entry.put("attachments", parseJson(r.getAttachments()));
+                        entry.put("concurrency", r.getConcurrency());
+                        entry.put("judgeVerdict", parseJson(r.getJudgeVerdict()));
+                        entry.put("winner", winnersByRound.get(r.getRoundId()));
+                        entry.put("startedAt", r.getStartedAt());
+                        entry.put("finishedAt", r.getFinishedAt());
+                        return entry;
+                    }).toList();
+
+            return ResponseEntity.ok(Map.of("history", historyList, "rounds", rounds));
         } catch (Exception e) {
             return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR)
                     .body(Map.of("error", "Failed to fetch chat history"));
@@ -271,6 +536,10 @@ public class Controller {
                 entry.put("prompt", w.getPrompt());
                 entry.put("response", w.getResponse());
                 entry.put("selectedAt", w.getSelectedAt());
+                entry.put("blind", Boolean.TRUE.equals(w.getBlind()));
+                entry.put("competitors", parseCompetitors(w.getCompetitors()));
+                entry.put("roundId", w.getRoundId());
+                entry.put("judgeVerdict", parseJson(w.getJudgeVerdict()));
                 return entry;
             }).toList();
 
@@ -281,10 +550,27 @@ public class Controller {
         }
     }
 
+    /**
+     * Win counts per model, from this session's picks as in /api/winners.
+     * The optional "mode" parameter ("blind" or "sighted") restricts the
+     * counts to votes cast with or without the model identities visible.
+     * "scores" sums up the replies of the session's rounds that had an expected answer,
+     * whatever the mode.
+     */
     @GetMapping("/api/stats")
-    public ResponseEntity<Map<String, Object>> getStats() {
+    public ResponseEntity<Map<String, Object>> getStats(
+            @RequestParam(value = "mode", required = false) String mode,
+            HttpServletRequest request) {
         try {
-            List<WinnerSelection> allWinners = winnerRepository.findAll();
+            String sessionId = getSessionId(request);
+            if (sessionId == null) {
+                return ResponseEntity.ok(Map.of("leaderboard", List.of(), "scores", List.of(), "totalSelections", 0));
+            }
+
+            List<WinnerSelection> allWinners = winnerRepository.findBySessionId(sessionId).stream()
+                    .filter(w -> mode == null
+                            || ("blind".equals(mode) == Boolean.TRUE.equals(w.getBlind())))
+                    .toList();
 
             // Count wins per model identifier (extract provider-model portion)
             Map<String, Long> winCounts = new LinkedHashMap<>();
@@ -306,6 +592,7 @@ public class Controller {
 
             return ResponseEntity.ok(Map.of(
                     "leaderboard", leaderboard,
+                    "scores", summarizeScores(arenaRoundRepository.findBySessionIdOrderByStartedAtDesc(sessionId)),
                     "totalSelections", allWinners.size()));
         } catch (Exception e) {
             return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR)
@@ -313,6 +600,156 @@ public class Controller {
         }
     }
 
+    /**
+     * Per model, from the "scores" the frontend put on each round entry:
+     * replies scored, replies matching the expected answer, and the mean
+     * token overlap of those that have one (regex answers don't).
+     */
+    private List<Map<String, Object>> summarizeScores(List<ArenaRound> rounds) throws Exception {
+        Map<String, double[]> totals = new LinkedHashMap<>(); // scored, matched, overlap sum, overlap count
+        for (ArenaRound round : rounds) {
+            if (round.getExpected() == null || round.getEntries() == null) {
+                continue;
+            }
+            for (JsonNode entry : objectMapper.readTree(round.getEntries())) {
+                JsonNode scores = entry.path("scores");
+                if (!scores.isObject()) {
+                    continue;
+                }
+                double[] total = totals.computeIfAbsent(
+                        extractProviderAndModel(entry.path("modelIdentifier").asText(null)), k -> new double[4]);
+                total[0]++;
+                if (scores.path("match").asBoolean(false)) {
+                    total[1]++;
+                }
+                if (scores.path("overlap").isNumber()) {
+                    total[2] += scores.path("overlap").asDouble();
+                    total[3]++;
+                }
+            }
+        }
+
+        return totals.entrySet().stream().map(e -> {
+            double[] total = e.getValue();
+            Map<String, Object> entry = new LinkedHashMap<>();
+            entry.put("model", e.getKey());
+            entry.put("scored", (long) total[0]);
+            entry.put("matched", (long) total[1]);
+            entry.put("meanOverlap", total[3] > 0 ? total[2] / total[3] : null);
+            entry.put("overlapScored", (long) total[3]);
+            return entry;
+        }).toList();
+    }
+
+    // ==================== Round Review Endpoints ====================
+
+    @PostMapping("/api/reviews")
+    public ResponseEntity<Map<String, Object>> saveReview(
+            @RequestBody Map<String, Object> body,
+            HttpServletRequest request,
+            HttpServletResponse response) {
+        try {
+            String prompt = getString(body, "prompt");
+            if (prompt == null || prompt.isBlank()) {
+                return ResponseEntity.badRequest().body(Map.of("error", "Prompt is required"));
+            }
+
+            RoundReview review = new RoundReview();
+            review.setSessionId(getOrCreateSessionId(request, response));
+            review.setPrompt(prompt);
+            review.setRankings(objectMapper.writeValueAsString(body.getOrDefault("rankings", List.of())));
+            review.setCriteria(objectMapper.writeValueAsString(body.getOrDefault("criteria", List.of())));
+            review.setScores(objectMapper.writeValueAsString(body.getOrDefault("scores", Map.of())));
+            review.setNotes(getString(body, "notes"));
+
+            RoundReview saved = roundReviewRepository.save(review);
+
+            return ResponseEntity.ok(Map.of("success", true, "id", saved.getId()));
+        } catch (Exception e) {
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR)
+                    .body(Map.of("error", "Failed to save review: " + e.getMessage()));
+        }
+    }
+
+    @GetMapping("/api/reviews")
+    public ResponseEntity<Map<String, Object>> getReviews(HttpServletRequest request) {
+        try {
+            String sessionId = getSessionId(request);
+            if (sessionId == null) {
+                return ResponseEntity.ok(Map.of("reviews", List.of()));
+            }
+
+            List<Map<String, Object>> reviews = roundReviewRepository.findBySessionIdOrderByCreatedAtDesc(sessionId)
+                    .stream().map(r -> {
+                        Map<String, Object> entry = new LinkedHashMap<>();
+                        entry.put("id", r.getId());
+                        entry.put("prompt", r.getPrompt());
+                        entry.put("rankings", parseJson(r.getRankings()));
+                        entry.put("criteria", parseJson(r.getCriteria()));
+                        entry.put("scores", parseJson(r.getScores()));
+                        entry.put("notes", r.getNotes());
+                        entry.put("createdAt", r.getCreatedAt());
+                        return entry;
+                    }).toList();
+
+            return ResponseEntity.ok(Map.of("reviews", reviews));
+        } catch (Exception e) {
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR)
+                    .body(Map.of("error", "Failed to fetch reviews"));
+        }
+    }
+
+    // ==================== Round Endpoints ====================
+
+    /**
+     * Saves a round sent by the frontend's round coordinator: the prompt and
+     * every model's reply, error and timings as one record. Saving a round
+     * with the same roundId again (a retry after it finished, the judge's
+     * verdict) updates it; a verdict is also copied to the round's winner pick.
+     */
+    @PostMapping("/api/rounds")
+    public ResponseEntity<Map<String, Object>> saveRound(
+            @RequestBody Map<String, Object> body,
+            HttpServletRequest request,
+            HttpServletResponse response) {
+        try {
+            String roundId = getString(body, "roundId");
+            String prompt = getString(body, "prompt");
+            if (roundId == null || prompt == null || prompt.isBlank()) {
+                return ResponseEntity.badRequest().body(Map.of("error", "Round id and prompt are required"));
+            }
+
+            String sessionId = getOrCreateSessionId(request, response);
+            ArenaRound round = arenaRoundRepository.findByRoundIdAndSessionId(roundId, sessionId)
+                    .orElseGet(ArenaRound::new);
+            round.setRoundId(roundId);
+            round.setSessionId(sessionId);
+            round.setPrompt(prompt);
+            round.setExpected(getString(body, "expected"));
+            round.setResponseSchema(body.get("responseSchema") instanceof Map<?, ?> schema
+                    ? objectMapper.writeValueAsString(schema) : null);
+            round.setEntries(objectMapper.writeValueAsString(body.getOrDefault("entries", List.of())));
+            round.setAttachments(objectMapper.writeValueAsString(body.getOrDefault("attachments", List.of())));
+            round.setConcurrency(body.get("concurrency") instanceof Number n ? n.intValue() : null);
+            round.setStartedAt(toDate(body.get("startedAt")));
+            round.setFinishedAt(toDate(body.get("finishedAt")));
+            if (body.get("judgeVerdict") instanceof Map<?, ?> verdict) {
+                round.setJudgeVerdict(objectMapper.writeValueAsString(verdict));
+                for (WinnerSelection winner : winnerRepository.findBySessionIdAndRoundId(sessionId, roundId)) {
+                    winner.setJudgeVerdict(round.getJudgeVerdict());
+                    winnerRepository.save(winner);
+                }
+            }
+
+            ArenaRound saved = arenaRoundRepository.save(round);
+
+            return ResponseEntity.ok(Map.of("success", true, "id", saved.getId()));
+        } catch (Exception e) {
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR)
+                    .body(Map.of("error", "Failed to save round: " + e.getMessage()));
+        }
+    }
+
     // ==================== API Key Management Endpoints ====================
 
     @GetMapping("/api/keys/list")
@@ -326,7 +763,15 @@ public class Controller {
             List<ApiKey> keys = apiKeyRepository.findBySessionId(sessionId);
             List<String> providers = keys.stream().map(ApiKey::getProvider).toList();
 
-            return ResponseEntity.ok(Map.of("providers", providers));
+            List<Map<String, Object>> keyList = keys.stream().map(k -> {
+                Map<String, Object> entry = new LinkedHashMap<>();
+                entry.put("provider", k.getProvider());
+                entry.put("createdAt", k.getCreatedAt());
+                entry.put("updatedAt", k.getUpdatedAt());
+                return entry;
+            }).toList();
+
+            return ResponseEntity.ok(Map.of("providers", providers, "keys", keyList));
         } catch (Exception e) {
             return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR)
                     .body(Map.of("error", "Failed to list API key providers"));
@@ -355,64 +800,454 @@ public class Controller {
         }
     }
 
+    /**
+     * Checks a stored key with a one-line request to the provider. Uses the
+     * given model, or the provider's cheapest model from KEY_TEST_MODELS.
+     * Custom providers need both "model" and "baseUrl".
+     * A rejected key is still a 200 with "valid": false and the provider's error.
+     */
+    @PostMapping("/api/keys/test")
+    public ResponseEntity<Map<String, Object>> testApiKey(
+            @RequestBody Map<String, String> body,
+            HttpServletRequest request) {
+        try {
+            String provider = body.get("provider");
+            if (provider == null) {
+                return ResponseEntity.badRequest().body(Map.of("error", "Provider missing"));
+            }
+
+            // The key from the browser's vault, else one stored here by an older version
+            String apiKey = body.get("apiKey");
+            if (apiKey == null || apiKey.isBlank()) {
+                String sessionId = getSessionId(request);
+                Optional<ApiKey> apiKeyOpt = sessionId == null ? Optional.empty()
+                        : apiKeyRepository.findBySessionIdAndProvider(sessionId, provider);
+                if (apiKeyOpt.isEmpty()) {
+                    return ResponseEntity.status(HttpStatus.NOT_FOUND)
+                            .body(Map.of("error", "No API key stored for " + provider));
+                }
+                apiKey = decrypt(apiKeyOpt.get().getEncryptedKey());
+            }
+
+            String model = body.get("model");
+            if (model == null || model.isBlank()) {
+                model = KEY_TEST_MODELS.get(provider.toLowerCase());
+            }
+            if (model == null) {
+                return ResponseEntity.badRequest().body(Map.of("error", "No test model known for " + provider));
+            }
+
+            long startTime = System.currentTimeMillis();
+            try {
+                callAiApi(provider, model, List.of(UserMessage.from("Reply with OK.")),
+                        apiKey, body.get("baseUrl"), GenerationParams.DEFAULTS, null);
+                return ResponseEntity.ok(Map.of("success", true, "valid", true, "model", model,
+                        "latencyMs", System.currentTimeMillis() - startTime));
+            } catch (Exception e) {
+                return ResponseEntity.ok(Map.of("success", true, "valid", false, "model", model,
+                        "error", String.valueOf(e.getMessage()), "category", ErrorCategory.of(e).id()));
+            }
+        } catch (Exception e) {
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR)
+                    .body(Map.of("error", "Failed to test API key"));
+        }
+    }
+
     // ==================== AI API (Langchain4j) ====================
 
-    private String callAiApi(String provider, String model, String prompt, String apiKey) throws Exception {
+    /**
+     * responseSchema, when set, asks for JSON: Gemini is given the schema
+     * itself, providers speaking the OpenAI API are put in JSON mode, and
+     * every provider also gets the schema in the system prompt (see
+     * toChatMessages).
+     */
+    private Response<AiMessage> callAiApi(String provider, String model, List<ChatMessage> messages,
+            String apiKey, String baseUrl, GenerationParams params, JsonNode responseSchema) throws Exception {
         ChatLanguageModel chatModel = switch (provider.toLowerCase()) {
-            case "openai" -> OpenAiChatModel.builder()
-                    .apiKey(apiKey)
-                    .modelName(model)
-                    .build();
+            case "openai" -> openAiChatModel(apiKey, model, null, params, responseSchema != null);
             case "claude" -> AnthropicChatModel.builder()
                     .apiKey(apiKey)
                     .modelName(model)
+                    .temperature(params.temperature())
+                    .topP(params.topP())
+                    .maxTokens(params.maxTokens())
+                    .timeout(params.timeout())
                     .build();
             case "gemini" -> GoogleAiGeminiChatModel.builder()
                     .apiKey(apiKey)
                     .modelName(model)
+                    .temperature(params.temperature())
+                    .topP(params.topP())
+                    .maxOutputTokens(params.maxTokens())
+                    .responseFormat(toGeminiResponseFormat(responseSchema))
+                    .timeout(params.timeout())
                     .build();
-            case "cohere" -> OpenAiChatModel.builder()
-                    .apiKey(apiKey)
-                    .modelName(model)
-                    .baseUrl("https://api.cohere.com/v1")
-                    .build();
+            case "cohere" -> openAiChatModel(apiKey, model, "https://api.cohere.com/v1", params, false);
             case "mistral" -> MistralAiChatModel.builder()
                     .apiKey(apiKey)
                     .modelName(model)
+                    .temperature(params.temperature())
+                    .topP(params.topP())
+                    .maxTokens(params.maxTokens())
+                    .randomSeed(params.seed())
+                    .timeout(params.timeout())
                     .build();
-            case "deepseek" -> OpenAiChatModel.builder()
-                    .apiKey(apiKey)
-                    .modelName(model)
-                    .baseUrl("https://api.deepseek.com/v1")
-                    .build();
-            case "grok" -> OpenAiChatModel.builder()
-                    .apiKey(apiKey)
-                    .modelName(model)
-                    .baseUrl("https://api.x.ai/v1")
-                    .build();
-            case "qwen" -> OpenAiChatModel.builder()
+            case "deepseek" -> openAiChatModel(apiKey, model, "https://api.deepseek.com/v1", params, responseSchema != null);
+            case "grok" -> openAiChatModel(apiKey, model, "https://api.x.ai/v1", params, responseSchema != null);
+            case "qwen" -> openAiChatModel(apiKey, model, "https://dashscope.aliyuncs.com/compatible-mode/v1", params, responseSchema != null);
+            case "llama" -> openAiChatModel(apiKey, model, "https://api.together.xyz/v1", params, false);
+            case "copilot" -> openAiChatModel(apiKey, model, "https://api.openai.com/v1", params, responseSchema != null);
+            default -> {
+                if (!isCustomProvider(provider)) {
+                    throw new UnsupportedOperationException("Provider not supported: " + provider);
+                }
+                yield openAiChatModel(apiKey, model, requireBaseUrl(baseUrl), params, false);
+            }
+        };
+
+        return chatModel.generate(messages);
+    }
+
+    private StreamingChatLanguageModel buildStreamingModel(String provider, String model, String apiKey,
+            String baseUrl, GenerationParams params, JsonNode responseSchema) {
+        return switch (provider.toLowerCase()) {
+            case "openai" -> openAiStreamingChatModel(apiKey, model, null, params, responseSchema != null);
+            case "claude" -> AnthropicStreamingChatModel.builder()
                     .apiKey(apiKey)
                     .modelName(model)
-                    .baseUrl("https://dashscope.aliyuncs.com/compatible-mode/v1")
+                    .temperature(params.temperature())
+                    .topP(params.topP())
+                    .maxTokens(params.maxTokens())
+                    .timeout(params.timeout())
                     .build();
-            case "llama" -> OpenAiChatModel.builder()
+            case "gemini" -> GoogleAiGeminiStreamingChatModel.builder()
                     .apiKey(apiKey)
                     .modelName(model)
-                    .baseUrl("https://api.together.xyz/v1")
+                    .temperature(params.temperature())
+                    .topP(params.topP())
+                    .maxOutputTokens(params.maxTokens())
+                    .responseFormat(toGeminiResponseFormat(responseSchema))
+                    .timeout(params.timeout())
                     .build();
-            case "copilot" -> OpenAiChatModel.builder()
+            case "cohere" -> openAiStreamingChatModel(apiKey, model, "https://api.cohere.com/v1", params, false);
+            case "mistral" -> MistralAiStreamingChatModel.builder()
                     .apiKey(apiKey)
                     .modelName(model)
-                    .baseUrl("https://api.openai.com/v1")
+                    .temperature(params.temperature())
+                    .topP(params.topP())
+                    .maxTokens(params.maxTokens())
+                    .randomSeed(params.seed())
+                    .timeout(params.timeout())
                     .build();
-            default -> throw new UnsupportedOperationException("Provider not supported: " + provider);
+            case "deepseek" -> openAiStreamingChatModel(apiKey, model, "https://api.deepseek.com/v1", params, responseSchema != null);
+            case "grok" -> openAiStreamingChatModel(apiKey, model, "https://api.x.ai/v1", params, responseSchema != null);
+            case "qwen" -> openAiStreamingChatModel(apiKey, model, "https://dashscope.aliyuncs.com/compatible-mode/v1", params, responseSchema != null);
+            case "llama" -> openAiStreamingChatModel(apiKey, model, "https://api.together.xyz/v1", params, false);
+            case "copilot" -> openAiStreamingChatModel(apiKey, model, "https://api.openai.com/v1", params, responseSchema != null);
+            default -> {
+                if (!isCustomProvider(provider)) {
+                    throw new UnsupportedOperationException("Provider not supported: " + provider);
+                }
+                yield openAiStreamingChatModel(apiKey, model, requireBaseUrl(baseUrl), params, false);
+            }
         };
+    }
+
+    /**
+     * Every provider speaking the OpenAI API goes through this builder. A null
+     * baseUrl means api.openai.com; null params keep the provider defaults.
+     * jsonMode sends response_format json_object, which only the built-in
+     * providers known to accept it get: others (Cohere, Together, custom
+     * endpoints) may reject it, so they rely on the schema in the system prompt.
+     */
+    private ChatLanguageModel openAiChatModel(String apiKey, String model, String baseUrl,
+            GenerationParams params, boolean jsonMode) {
+        return OpenAiChatModel.builder()
+                .apiKey(apiKey)
+                .modelName(model)
+                .baseUrl(baseUrl)
+                .temperature(params.temperature())
+                .topP(params.topP())
+                .maxTokens(params.maxTokens())
+                .seed(params.seed())
+                .responseFormat(jsonMode ? "json_object" : null)
+                .timeout(params.timeout())
+                .build();
+    }
+
+    private StreamingChatLanguageModel openAiStreamingChatModel(String apiKey, String model, String baseUrl,
+            GenerationParams params, boolean jsonMode) {
+        return OpenAiStreamingChatModel.builder()
+                .apiKey(apiKey)
+                .modelName(model)
+                .baseUrl(baseUrl)
+                .temperature(params.temperature())
+                .topP(params.topP())
+                .maxTokens(params.maxTokens())
+                .seed(params.seed())
+                .responseFormat(jsonMode ? "json_object" : null)
+                .timeout(params.timeout())
+                .build();
+    }
+
+    /**
+     * Gemini's structured output takes the schema as langchain4j elements.
+     * Keywords it has no element for (e.g. pattern, minimum, $ref) are
+     * dropped here; the browser still validates the reply against them.
+     */
+    private ResponseFormat toGeminiResponseFormat(JsonNode responseSchema) {
+        if (responseSchema == null) {
+            return null;
+        }
+        return ResponseFormat.builder()
+                .type(ResponseFormatType.JSON)
+                .jsonSchema(JsonSchema.builder()
+                        .name(responseSchema.path("title").asText("response"))
+                        .rootElement(toJsonSchemaElement(responseSchema))
+                        .build())
+                .build();
+    }
+
+    private JsonSchemaElement toJsonSchemaElement(JsonNode schema) {
+        String description = schema.path("description").isTextual() ? schema.path("description").asText() : null;
+
+        if (schema.path("enum").isArray()) {
+            List<String> values = new ArrayList<>();
+            schema.path("enum").forEach(value -> values.add(value.asText()));
+            return JsonEnumSchema.builder().enumValues(values).description(description).build();
+        }
+
+        // A list of types such as ["string", "null"] keeps its first non-null type
+        String type = schema.path("type").asText("");
+        if (schema.path("type").isArray()) {
+            for (JsonNode t : schema.path("type")) {
+                if (!"null".equals(t.asText())) {
+                    type = t.asText();
+                    break;
+                }
+            }
+        }
+        if (type.isEmpty() && schema.has("properties")) {
+            type = "object";
+        }
 
-        return chatModel.generate(prompt);
+        return switch (type) {
+            case "object" -> {
+                JsonObjectSchema.Builder builder = JsonObjectSchema.builder().description(description);
+                schema.path("properties").fields()
+                        .forEachRemaining(field -> builder.addProperty(field.getKey(), toJsonSchemaElement(field.getValue())));
+                List<String> required = new ArrayList<>();
+                schema.path("required").forEach(name -> required.add(name.asText()));
+                if (!required.isEmpty()) {
+                    builder.required(required);
+                }
+                yield builder.build();
+            }
+            case "array" -> JsonArraySchema.builder()
+                    .description(description)
+                    .items(toJsonSchemaElement(schema.path("items")))
+                    .build();
+            case "integer" -> JsonIntegerSchema.builder().description(description).build();
+            case "number" -> JsonNumberSchema.builder().description(description).build();
+            case "boolean" -> JsonBooleanSchema.builder().description(description).build();
+            default -> JsonStringSchema.builder().description(description).build();
+        };
     }
 
     // ==================== Utility Methods ====================
 
+    /**
+     * Token counts reported by the provider, as {inputTokens, outputTokens}.
+     * Counts a provider doesn't report are null.
+     */
+    private Map<String, Object> toUsage(TokenUsage tokenUsage) {
+        Map<String, Object> usage = new LinkedHashMap<>();
+        usage.put("inputTokens", tokenUsage == null ? null : tokenUsage.inputTokenCount());
+        usage.put("outputTokens", tokenUsage == null ? null : tokenUsage.outputTokenCount());
+        return usage;
+    }
+
+    private boolean isCustomProvider(String provider) {
+        return provider != null && provider.toLowerCase().startsWith(CUSTOM_PROVIDER_PREFIX);
+    }
+
+    /**
+     * Picks the key sent with a chat request, decrypted by the browser's key
+     * vault; it is used for this call only and never stored. Custom providers
+     * may run without one and get NO_API_KEY instead. Returns null when a
+     * built-in provider has no key.
+     */
+    private String resolveApiKey(String provider, String apiKey) {
+        if (apiKey != null && !apiKey.trim().isEmpty()) {
+            return apiKey.trim();
+        }
+        return isCustomProvider(provider) ? NO_API_KEY : null;
+    }
+
+    /**
+     * Validates a custom provider's base URL (e.g. "http://localhost:11434/v1")
+     * and strips trailing slashes.
+     */
+    private String requireBaseUrl(String baseUrl) {
+        if (baseUrl == null || !baseUrl.trim().matches("(?i)https?://.+")) {
+            throw new IllegalArgumentException("Custom providers need an http(s) base URL");
+        }
+        return baseUrl.trim().replaceAll("/+$", "");
+    }
+
+    /**
+     * Whether a chat call is saved as a chat history row. Replies within a
+     * round are saved with the whole round, and judge calls (marked "judge"
+     * by the frontend) only in the verdict they produce.
+     */
+    private boolean savesToHistory(Map<String, Object> body) {
+        return getString(body, "roundId") == null && !Boolean.TRUE.equals(body.get("judge"));
+    }
+
+    private String getString(Map<String, Object> body, String key) {
+        Object value = body.get(key);
+        return value == null ? null : value.toString();
+    }
+
+    /**
+     * Builds the conversation sent to the model. The frontend sends
+     * "messages" as a list of {role: "user" | "assistant", content}, user
+     * turns optionally carrying "attachments"; a lone "prompt" string is still
+     * accepted as a single-turn conversation. The instance's system prompt, if
+     * any, goes first.
+     */
+    private List<ChatMessage> toChatMessages(Map<String, Object> body, GenerationParams params) {
+        List<ChatMessage> messages = new ArrayList<>();
+        String systemPrompt = withSchemaInstruction(params.systemPrompt(), getResponseSchema(body));
+        if (systemPrompt != null) {
+            messages.add(SystemMessage.from(systemPrompt));
+        }
+
+        if (body.get("messages") instanceof List<?> list) {
+            for (Object item : list) {
+                if (!(item instanceof Map<?, ?> message)) {
+                    continue;
+                }
+                Object content = message.get("content");
+                if (content == null || content.toString().isBlank()) {
+                    continue;
+                }
+                if ("assistant".equals(message.get("role"))) {
+                    messages.add(AiMessage.from(content.toString()));
+                } else {
+                    messages.add(toUserMessage(content.toString(), message.get("attachments")));
+                }
+            }
+        } else {
+            String prompt = getString(body, "prompt");
+            if (prompt != null && !prompt.isBlank()) {
+                messages.add(UserMessage.from(prompt));
+            }
+        }
+
+        return messages;
+    }
+
+    /**
+     * Structured output: the JSON schema sent as "responseSchema" with a chat
+     * request, null for a free-text reply.
+     */
+    private JsonNode getResponseSchema(Map<String, Object> body) {
+        return body.get("responseSchema") instanceof Map<?, ?> schema ? objectMapper.valueToTree(schema) : null;
+    }
+
+    /**
+     * Appends the schema to the system prompt, so providers without a JSON
+     * mode know the shape too (and JSON mode requires the word "JSON").
+     */
+    private String withSchemaInstruction(String systemPrompt, JsonNode responseSchema) {
+        if (responseSchema == null) {
+            return systemPrompt;
+        }
+        String instruction = "Reply with a single JSON value only, no prose and no code fence, "
+                + "that is valid against this JSON schema:\n" + responseSchema.toPrettyString();
+        return systemPrompt == null ? instruction : systemPrompt + "\n\n" + instruction;
+    }
+
+    /**
+     * A user turn with its attachments: {name, mimeType, data} for images
+     * (base64, sent as image content) and {name, mimeType, text} for text
+     * files, which are inlined after the prompt. The frontend only sends
+     * images to models that accept them.
+     */
+    private UserMessage toUserMessage(String text, Object attachments) {
+        if (!(attachments instanceof List<?> list) || list.isEmpty()) {
+            return UserMessage.from(text);
+        }
+
+        List<Content> contents = new ArrayList<>();
+        contents.add(TextContent.from(text));
+        for (Object item : list) {
+            if (!(item instanceof Map<?, ?> attachment)) {
+                continue;
+            }
+            Object name = attachment.get("name");
+            Object mimeType = attachment.get("mimeType");
+            if (attachment.get("data") instanceof String data && mimeType != null
+                    && mimeType.toString().startsWith("image/")) {
+                contents.add(ImageContent.from(data, mimeType.toString()));
+            } else if (attachment.get("text") instanceof String fileText) {
+                contents.add(TextContent.from("Attached file \"" + name + "\":\n" + fileText));
+            }
+        }
+        return UserMessage.from(contents);
+    }
+
+    /**
+     * Returns the text of the latest user turn, which is what gets stored as
+     * the prompt in chat history. Null when the conversation has no user turn.
+     * Attached files are left out; the typed prompt is the first text content.
+     */
+    private String lastUserPrompt(List<ChatMessage> messages) {
+        for (int i = messages.size() - 1; i >= 0; i--) {
+            if (messages.get(i) instanceof UserMessage userMessage) {
+                return userMessage.contents().stream()
+                        .filter(TextContent.class::isInstance)
+                        .map(content -> ((TextContent) content).text())
+                        .findFirst()
+                        .orElse(null);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Sends a named SSE event with a JSON payload. Failures (usually the client
+     * pressing stop and closing the connection) are logged and swallowed.
+     */
+    private void sendStreamEvent(SseEmitter emitter, String name, Map<String, Object> data) {
+        try {
+            emitter.send(SseEmitter.event().name(name).data(data, MediaType.APPLICATION_JSON));
+        } catch (Exception e) {
+            System.err.println("Stream event '" + name + "' not delivered: " + e.getMessage());
+        }
+    }
+
+    private void sendStreamError(SseEmitter emitter, String message, String detail, ErrorCategory category) {
+        sendStreamEvent(emitter, "error", errorBody(message, detail, category));
+        emitter.complete();
+    }
+
+    /**
+     * Failed chat request: a readable message, the provider's raw error as
+     * "detail" (may be null) and the category the frontend uses to display
+     * and retry it.
+     */
+    private Map<String, Object> errorBody(String message, String detail, ErrorCategory category) {
+        Map<String, Object> body = new LinkedHashMap<>();
+        body.put("error", message);
+        body.put("detail", detail);
+        body.put("category", category.id());
+        body.put("retryable", category.retryable());
+        body.put("success", false);
+        return body;
+    }
+
     /**
      * Extracts the model name from a model identifier.
      * Format: "provider-modelName-timestamp-index-randomSuffix"
@@ -441,6 +1276,45 @@ public class Controller {
         return modelName.isEmpty() ? withoutProvider : modelName;
     }
 
+    /**
+     * Reads the JSON array stored in WinnerSelection.competitors. Older rows
+     * (and unreadable values) yield an empty list.
+     */
+    private List<String> parseCompetitors(String competitors) {
+        if (competitors == null || competitors.isBlank()) {
+            return List.of();
+        }
+        try {
+            return objectMapper.readValue(competitors, new TypeReference<List<String>>() {
+            });
+        } catch (Exception e) {
+            return List.of();
+        }
+    }
+
+    /**
+     * Reads an epoch-millisecond timestamp sent by the frontend. Returns null
+     * when absent.
+     */
+    private Date toDate(Object value) {
+        return value instanceof Number millis ? new Date(millis.longValue()) : null;
+    }
+
+    /**
+     * Parses a JSON column back into maps/lists for the response. Returns null
+     * for empty or unreadable values.
+     */
+    private Object parseJson(String json) {
+        if (json == null || json.isBlank()) {
+            return null;
+        }
+        try {
+            return objectMapper.readValue(json, Object.class);
+        } catch (Exception e) {
+            return null;
+        }
+    }
+
     /**
      * Extracts "provider-model" from a full model identifier for stats/leaderboard
      * grouping.
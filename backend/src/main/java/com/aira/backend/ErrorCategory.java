@@ -0,0 +1,93 @@
+package com.aira.backend;
+
+import java.io.InterruptedIOException;
+import java.net.ConnectException;
+import java.net.NoRouteToHostException;
+import java.net.SocketException;
+import java.net.UnknownHostException;
+import java.net.http.HttpTimeoutException;
+import java.util.concurrent.TimeoutException;
+import java.util.regex.Pattern;
+
+/**
+ * Why a model call failed, sent to the frontend as "category" next to the
+ * error. Each provider client wraps failures differently (HTTP status in the
+ * message, error codes in a JSON body...), so the category is read from the
+ * exception types and messages along the cause chain. Retryable categories
+ * are worth another attempt after a backoff. INVALID_REQUEST is only set by
+ * the controller's own checks, before any provider is called.
+ */
+enum ErrorCategory {
+    INVALID_KEY("The provider rejected the API key", false),
+    RATE_LIMITED("Rate limited by the provider", true),
+    MODEL_NOT_FOUND("The provider doesn't know this model", false),
+    NETWORK("Could not reach the provider", false),
+    TIMEOUT("The provider took too long to answer", false),
+    SERVER_ERROR("The provider had an internal error", true),
+    INVALID_REQUEST("The request is missing something", false),
+    UNKNOWN("The request failed", false);
+
+    private static final Pattern INVALID_KEY_PATTERN = Pattern.compile(
+            "\\b(401|403)\\b|invalid[_ ]api[_ ]key|incorrect api key|invalid x-api-key|api key not valid"
+                    + "|authentication|unauthorized|permission[_ ]denied");
+    private static final Pattern RATE_LIMITED_PATTERN = Pattern.compile(
+            "\\b(429|529)\\b|rate[_ ]limit|too many requests|quota|resource_exhausted|overloaded");
+    private static final Pattern MODEL_NOT_FOUND_PATTERN = Pattern.compile(
+            "\\b404\\b|model_not_found|not_found_error|does not exist|not found|unknown model|no such model");
+    private static final Pattern SERVER_ERROR_PATTERN = Pattern.compile(
+            "\\b(500|502|503|504)\\b|internal server error|internal_error|bad gateway|service unavailable|unavailable");
+
+    private final String summary;
+    private final boolean retryable;
+
+    ErrorCategory(String summary, boolean retryable) {
+        this.summary = summary;
+        this.retryable = retryable;
+    }
+
+    /** The value sent to the frontend, e.g. "rate_limited". */
+    String id() {
+        return name().toLowerCase();
+    }
+
+    String summary() {
+        return summary;
+    }
+
+    boolean retryable() {
+        return retryable;
+    }
+
+    static ErrorCategory of(Throwable error) {
+        StringBuilder messages = new StringBuilder();
+        for (Throwable cause = error; cause != null; cause = cause.getCause() == cause ? null : cause.getCause()) {
+            if (cause instanceof InterruptedIOException || cause instanceof HttpTimeoutException
+                    || cause instanceof TimeoutException) {
+                return TIMEOUT;
+            }
+            if (cause instanceof ConnectException || cause instanceof UnknownHostException
+                    || cause instanceof NoRouteToHostException || cause instanceof SocketException) {
+                return NETWORK;
+            }
+            messages.append(' ').append(cause.getMessage());
+        }
+
+        String text = messages.toString().toLowerCase();
+        if (INVALID_KEY_PATTERN.matcher(text).find()) {
+            return INVALID_KEY;
+        }
+        if (RATE_LIMITED_PATTERN.matcher(text).find()) {
+            return RATE_LIMITED;
+        }
+        if (MODEL_NOT_FOUND_PATTERN.matcher(text).find()) {
+            return MODEL_NOT_FOUND;
+        }
+        if (SERVER_ERROR_PATTERN.matcher(text).find()) {
+            return SERVER_ERROR;
+        }
+        if (text.contains("timeout") || text.contains("timed out")) {
+            return TIMEOUT;
+        }
+        return UNKNOWN;
+    }
+}
@@ -0,0 +1,43 @@
+package com.aira.backend;
+
+import java.time.Duration;
+import java.util.Map;
+
+/**
+ * Per-instance generation settings sent as "params" with a chat request.
+ * Every field is optional; null keeps the provider's default. Providers
+ * without a seed option (Claude, Gemini) ignore the seed. timeoutSeconds
+ * bounds each call to the provider.
+ */
+record GenerationParams(Double temperature, Double topP, Integer maxTokens, Integer seed, String systemPrompt,
+        Integer timeoutSeconds) {
+
+    static final GenerationParams DEFAULTS = new GenerationParams(null, null, null, null, null, null);
+
+    static GenerationParams from(Object value) {
+        if (!(value instanceof Map<?, ?> params)) {
+            return DEFAULTS;
+        }
+        Object systemPrompt = params.get("systemPrompt");
+        return new GenerationParams(
+                toDouble(params.get("temperature")),
+                toDouble(params.get("topP")),
+                toInteger(params.get("maxTokens")),
+                toInteger(params.get("seed")),
+                systemPrompt == null || systemPrompt.toString().isBlank() ? null : systemPrompt.toString(),
+                toInteger(params.get("timeoutSeconds")));
+    }
+
+    /** Null keeps the provider client's default timeout. */
+    Duration timeout() {
+        return timeoutSeconds == null || timeoutSeconds <= 0 ? null : Duration.ofSeconds(timeoutSeconds);
+    }
+
+    private static Double toDouble(Object value) {
+        return value instanceof Number number ? number.doubleValue() : null;
+    }
+
+    private static Integer toInteger(Object value) {
+        return value instanceof Number number ? number.intValue() : null;
+    }
+}
@@ -0,0 +1,63 @@
+package com.aira.backend;
+
+import jakarta.persistence.*;
+import java.util.Date;
+
+// RoundReview Entity: ranking, per-criterion scores and notes for one round
+@Entity
+@Table(name = "round_reviews")
+class RoundReview {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+    
+    @Column(name = "session_id")
+    private String sessionId;
+    
+    @Column(nullable = false, columnDefinition = "TEXT")
+    private String prompt;
+    
+    // JSON array of model identifiers, best first
+    @Column(columnDefinition = "TEXT")
+    private String rankings;
+    
+    // JSON array of the criterion names the scores refer to
+    @Column(columnDefinition = "TEXT")
+    private String criteria;
+    
+    // JSON object: model identifier -> { criterion -> score 1..5 }
+    @Column(columnDefinition = "TEXT")
+    private String scores;
+    
+    @Column(columnDefinition = "TEXT")
+    private String notes;
+    
+    @Column(name = "created_at")
+    @Temporal(TemporalType.TIMESTAMP)
+    private Date createdAt = new Date();
+    
+    // Getters and Setters
+    public Long getId() { return id; }
+    public void setId(Long id) { this.id = id; }
+    
+    public String getSessionId() { return sessionId; }
+    public void setSessionId(String sessionId) { this.sessionId = sessionId; }
+    
+    public String getPrompt() { return prompt; }
+    public void setPrompt(String prompt) { this.prompt = prompt; }
+    
+    public String getRankings() { return rankings; }
+    public void setRankings(String rankings) { this.rankings = rankings; }
+    
+    public String getCriteria() { return criteria; }
+    public void setCriteria(String criteria) { this.criteria = criteria; }
+    
+    public String getScores() { return scores; }
+    public void setScores(String scores) { this.scores = scores; }
+    
+    public String getNotes() { return notes; }
+    public void setNotes(String notes) { this.notes = notes; }
+    
+    public Date getCreatedAt() { return createdAt; }
+    public void setCreatedAt(Date createdAt) { this.createdAt = createdAt; }
+}
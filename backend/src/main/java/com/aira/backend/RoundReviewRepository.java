@@ -0,0 +1,10 @@
+package com.aira.backend;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.stereotype.Repository;
+import java.util.List;
+
+@Repository
+interface RoundReviewRepository extends JpaRepository<RoundReview, Long> {
+    List<RoundReview> findBySessionIdOrderByCreatedAtDesc(String sessionId);
+}
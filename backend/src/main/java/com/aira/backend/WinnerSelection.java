@@ -27,6 +27,22 @@ class WinnerSelection {
     @Column(name = "session_id")
     private String sessionId;
     
+    // True when the model identities were hidden while voting
+    @Column(name = "blind")
+    private Boolean blind = false;
+    
+    // JSON array of the model identifiers the winner was compared against
+    @Column(columnDefinition = "TEXT")
+    private String competitors;
+    
+    // Round coordinator id of the round the pick was made in, null for batch rows
+    @Column(name = "round_id")
+    private String roundId;
+    
+    // JSON object of the LLM judge's verdict on the same replies: judge, rubric, ranking, rationale
+    @Column(name = "judge_verdict", columnDefinition = "TEXT")
+    private String judgeVerdict;
+    
     // Getters and Setters
     public Long getId() { return id; }
     public void setId(Long id) { this.id = id; }
@@ -45,4 +61,16 @@ class WinnerSelection {
     
     public String getSessionId() { return sessionId; }
     public void setSessionId(String sessionId) { this.sessionId = sessionId; }
+    
+    public Boolean getBlind() { return blind; }
+    public void setBlind(Boolean blind) { this.blind = blind; }
+    
+    public String getCompetitors() { return competitors; }
+    public void setCompetitors(String competitors) { this.competitors = competitors; }
+    
+    public String getRoundId() { return roundId; }
+    public void setRoundId(String roundId) { this.roundId = roundId; }
+    
+    public String getJudgeVerdict() { return judgeVerdict; }
+    public void setJudgeVerdict(String judgeVerdict) { this.judgeVerdict = judgeVerdict; }
 }
\ No newline at end of file
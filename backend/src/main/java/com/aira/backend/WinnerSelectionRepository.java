@@ -10,4 +10,5 @@ import java.util.List;
 interface WinnerSelectionRepository extends JpaRepository<WinnerSelection, Long> {
     List<WinnerSelection> findBySessionId(String sessionId);
     List<WinnerSelection> findByModelIdentifier(String modelIdentifier);
+    List<WinnerSelection> findBySessionIdAndRoundId(String sessionId, String roundId);
 }
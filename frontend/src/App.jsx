@@ -1,6 +1,33 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import './App.css'
 import ChatInstance from './ChatInstance'
+import HistoryPanel from './HistoryPanel'
+import Leaderboard from './Leaderboard'
+import RoundReview from './RoundReview'
+import DiffView from './DiffView'
+import BatchRunner from './BatchRunner'
+import KeyManager from './KeyManager'
+import CustomProviderModal from './CustomProviderModal'
+import PricingPanel from './PricingPanel'
+import PresetPanel from './PresetPanel'
+import JudgePanel from './JudgePanel'
+import { loadJudgeSettings, saveJudgeSettings, runJudge, getJudgeableReplies } from './judge'
+import AttachmentPreview from './AttachmentPreview'
+import VaultModal from './VaultModal'
+import ReportView from './ReportView'
+import ExportReportMenu from './ExportReportMenu'
+import { fromArenaRound } from './report'
+import { storeKey, deleteKey, lockVault, clearAllData, loadAutoLockMinutes, saveAutoLockMinutes } from './keyVault'
+import { describeParams } from './generationParams'
+import { loadPricing, savePricing, estimateCost, formatCost, loadSpend, saveSpend, loadBudget, saveBudget } from './pricing'
+import { loadCustomProviders, saveCustomProviders, isCustomProvider, discoverModels } from './customProviders'
+import { createModelIdentifier, parseModelIdentifier } from './modelIdentifier'
+import { readAttachment, MAX_ATTACHMENTS } from './attachments'
+import { describeExpectedAnswer } from './scoring'
+import { parseSchema } from './structuredOutput'
+import { LAYOUTS, COLUMN_DRAG_TYPE, loadLayout, saveLayout, moveItem, syncScroll } from './layout'
+import { createRound, completeEntry, removeEntry, summarizeRound, saveRound, toRoundRecord, loadConcurrency, saveConcurrency, CONCURRENCY_OPTIONS } from './roundCoordinator'
+import { loadPresets, savePresets, saveActiveModels, toPreset, mergePresets } from './presets'
 
 // Import all SVG files from assets folder
 const iconModules = import.meta.glob('./assets/*.svg', { eager: true })
@@ -35,47 +62,9 @@ const fetchProviderModels = async (providerName) => {
   }
 };
 
-// Function to save API key to server
-const saveProviderApiKey = async (provider, apiKey) => {
-  try {
-    const response = await fetch('/api/keys/save', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      credentials: 'include',
-      body: JSON.stringify({ provider, apiKey })
-    });
-
-    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-
-    const data = await response.json();
-    return { success: true, data };
-  } catch (error) {
-    console.error('Error saving API key:', error);
-    return { success: false, error: error.message };
-  }
-};
-
-// Function to fetch provider API key from server
-const fetchProviderApiKey = async (provider) => {
-  try {
-    const response = await fetch('/api/keys/get', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      credentials: 'include',
-      body: JSON.stringify({ provider })
-    });
-
-    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-
-    const data = await response.json();
-    return data.apiKey || null;
-  } catch (error) {
-    console.error('Error fetching API key:', error);
-    return null;
-  }
-};
-
 const getProviderURL = (providerName) => {
+  // Custom endpoints have no web chat to hand the winner over to
+  if (isCustomProvider(providerName)) return '#';
   switch (providerName.toLowerCase()) {
     case "openai"://works
       return "https://chatgpt.com/c/?prompt=";
@@ -102,14 +91,81 @@ const getProviderURL = (providerName) => {
   }
 };
 
+// Providers whose web chat reliably picks up the prompt from the URL above
+const DEEP_LINK_PROVIDERS = ['openai', 'gemini', 'grok', 'qwen']
+
+// Fisher-Yates shuffle, returns a new array
+const shuffle = (items) => {
+  const shuffled = [...items]
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+  }
+  return shuffled
+}
+
+// Model name plus its non-default params, so duplicated instances can be told apart
+const getInstanceName = (model) =>
+  describeParams(model.params) ? `${model.name} (${describeParams(model.params)})` : model.name
+
+// "Model A", "Model B", ... used instead of names in blind mode
+const getBlindLabel = (index) =>
+  `Model ${index < 26 ? String.fromCharCode(65 + index) : index + 1}`
+
+// A finished round the judge should grade: a judge is chosen, grading is automatic
+// or was asked for, and there are at least two replies to compare
+const isAwaitingJudge = (round, judge) => Boolean(
+  round?.finishedAt && !round.judgeVerdict && !round.judgeError &&
+  judge.provider && (judge.enabled || round.judgeRequested) &&
+  getJudgeableReplies(round).length >= 2
+)
+
 function App() {
   const [hasConsented, setHasConsented] = useState(false)
   const [showConsentModal, setShowConsentModal] = useState(false)
+  // Decrypted keys of the unlocked key vault, { keyRef -> apiKey }; null while locked
+  const [vaultKeys, setVaultKeys] = useState(null)
+  const [autoLockMinutes, setAutoLockMinutes] = useState(loadAutoLockMinutes)
   const [masterPrompt, setMasterPrompt] = useState('')
   const [activeModels, setActiveModels] = useState([])
   const [showAddModal, setShowAddModal] = useState(false)
   const [isStarted, setIsStarted] = useState(false)
-  const [triggerSend, setTriggerSend] = useState(0)
+  const [round, setRound] = useState(null) // Current round of the round coordinator, null before the first prompt
+  const [concurrency, setConcurrency] = useState(loadConcurrency) // Models answering at once, 0 for all
+  const [attachments, setAttachments] = useState([]) // Files waiting to go out with the next master prompt
+  const [attachmentError, setAttachmentError] = useState('')
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false)
+  // Reference answer the next master prompt's replies are scored against
+  const [showExpectedAnswer, setShowExpectedAnswer] = useState(false)
+  const [expectedAnswer, setExpectedAnswer] = useState('')
+  // Structured output mode: the JSON schema sent with every master prompt while the tray is open
+  const [showSchema, setShowSchema] = useState(false)
+  const [schemaText, setSchemaText] = useState('')
+  const [importedReport, setImportedReport] = useState(null) // Report opened read-only from a JSON export
+  // Blind mode: shuffled column order, identities hidden until a winner is picked
+  const [blindMode, setBlindMode] = useState(false)
+  const [blindOrder, setBlindOrder] = useState([])
+  const [identitiesRevealed, setIdentitiesRevealed] = useState(false)
+  const [roundReplies, setRoundReplies] = useState({}) // Latest reply per model id: { prompt, response, error }
+  const [roundWinnerId, setRoundWinnerId] = useState(null)
+  const [focusedModelId, setFocusedModelId] = useState(null) // Winner the arena continues with alone
+  const [compareMode, setCompareMode] = useState(false)
+  const [compareSelection, setCompareSelection] = useState([]) // Up to two model ids
+  // Grid layout: arrangement and scroll sync (persisted), plus the maximized column and selected tab
+  const [layoutSettings, setLayoutSettings] = useState(loadLayout)
+  const [maximizedId, setMaximizedId] = useState(null)
+  const [activeTabId, setActiveTabId] = useState(null)
+  const [dragOverId, setDragOverId] = useState(null)
+  const [activePanel, setActivePanel] = useState(null) // Full-screen panel shown over the arena: 'history' | 'leaderboard' | 'review' | 'batch' | 'keys' | 'pricing' | 'presets' | 'judge'
+  const [judgeSettings, setJudgeSettings] = useState(loadJudgeSettings)
+  const judgedRoundIds = useRef(new Set()) // Rounds sent to the judge, so each is graded once
+  const savedRoundRecord = useRef(null) // Last round record sent to /api/rounds, as JSON
+  const [presets, setPresets] = useState(loadPresets)
+  const [activePreset, setActivePreset] = useState(null) // Name of the last preset loaded or saved
+  // Cost tracking: prices per model name (USD per million tokens), running spend and budget
+  const [pricing, setPricing] = useState(loadPricing)
+  const [spend, setSpend] = useState(loadSpend)
+  const [budget, setBudget] = useState(loadBudget)
 
   // Modal states
   const [selectedProvider, setSelectedProvider] = useState(null)
@@ -120,6 +176,8 @@ function App() {
   const [savingApiKey, setSavingApiKey] = useState(false)
   const [saveMessage, setSaveMessage] = useState('')
   const [instanceCount, setInstanceCount] = useState(1) // Number of instances to add
+  const [customProviders, setCustomProviders] = useState(loadCustomProviders)
+  const [showCustomProviderModal, setShowCustomProviderModal] = useState(false)
 
   // Load consent
   useEffect(() => {
@@ -135,48 +193,95 @@ function App() {
   useEffect(() => {
     const savedModels = JSON.parse(localStorage.getItem('activeModels') || '[]');
     if (savedModels.length > 0) {
-      setActiveModels(savedModels);
+      // Older versions stored the keys themselves, even in plain text; keep only the vault reference
+      const models = savedModels.map(model => ({ ...model, encryptedApiKey: undefined, keyRef: model.keyRef ?? model.provider }));
+      setActiveModels(models);
+      saveActiveModels(models);
     }
   }, []);
 
-  // --- FIX START: Improved API Key Loading Logic ---
+  // Auto-lock: the vault locks itself after the chosen minutes without user activity
+  const isVaultOpen = vaultKeys !== null
   useEffect(() => {
-    const loadKeysForModels = async () => {
-      if (!activeModels || activeModels.length === 0) return;
-
-      // Filter to find only models that are missing their keys
-      const modelsNeedingKeys = activeModels.filter(m => !m.encryptedApiKey);
-      
-      // CRITICAL FIX: If no models need keys, STOP here to prevent infinite loop
-      if (modelsNeedingKeys.length === 0) return;
-
-      // Only fetch for the specific models that need it
-      const updatedKeys = await Promise.all(
-        modelsNeedingKeys.map(async (model) => {
-          const apiKey = await fetchProviderApiKey(model.provider);
-          return { id: model.id, key: apiKey };
-        })
-      );
-
-      // Create a map for easy lookup
-      const keyMap = new Map(updatedKeys.map(k => [k.id, k.key]));
-
-      // Update state functionally based on previous state
-      setActiveModels(prevModels => {
-        return prevModels.map(model => {
-          if (keyMap.has(model.id)) {
-            return { ...model, encryptedApiKey: keyMap.get(model.id) };
-          }
-          return model;
-        });
-      });
-    };
-
-    if (hasConsented) {
-      loadKeysForModels();
+    if (!isVaultOpen || autoLockMinutes === 0) return
+
+    let timer = null
+    const restartTimer = () => {
+      clearTimeout(timer)
+      timer = setTimeout(() => {
+        lockVault()
+        setVaultKeys(null)
+      }, autoLockMinutes * 60 * 1000)
+    }
+    const activityEvents = ['pointerdown', 'keydown', 'wheel']
+
+    restartTimer()
+    activityEvents.forEach(event => window.addEventListener(event, restartTimer))
+    return () => {
+      clearTimeout(timer)
+      activityEvents.forEach(event => window.removeEventListener(event, restartTimer))
     }
-  }, [hasConsented, activeModels]); 
-  // --- FIX END ---
+  }, [isVaultOpen, autoLockMinutes])
+
+  // A finished round is stored as one record; a retry or the judge's verdict afterwards updates it.
+  // Changes to UI-only state leave the record as it was, so nothing is sent again.
+  useEffect(() => {
+    if (!round?.finishedAt) return
+    const record = JSON.stringify(toRoundRecord(round))
+    if (record === savedRoundRecord.current) return
+    savedRoundRecord.current = record
+    saveRound(round)
+  }, [round])
+
+  // LLM judge: grades a finished round once, automatically or when asked from the judge panel
+  useEffect(() => {
+    if (!isAwaitingJudge(round, judgeSettings) || judgedRoundIds.current.has(round.id)) return
+    judgedRoundIds.current.add(round.id)
+
+    const roundId = round.id
+    runJudge({
+      judge: judgeSettings,
+      apiKey: vaultKeys?.[judgeSettings.provider],
+      prompt: round.prompt,
+      replies: getJudgeableReplies(round)
+    })
+      .then(verdict => ({ judgeVerdict: verdict, judgeError: null }))
+      .catch(err => ({ judgeVerdict: null, judgeError: err.message }))
+      .then(result => setRound(prev => prev?.id === roundId ? { ...prev, ...result } : prev))
+  }, [round, judgeSettings, vaultKeys])
+
+  // Key vault handlers
+  const handleLockVault = () => {
+    lockVault()
+    setVaultKeys(null)
+    setActivePanel(null)
+  }
+
+  // Throws when the vault can't store the key; callers show the error
+  const handleStoreKey = async (keyRef, apiKey) => {
+    await storeKey(keyRef, apiKey)
+    setVaultKeys(prev => ({ ...prev, [keyRef]: apiKey }))
+  }
+
+  const handleDeleteKey = (keyRef) => {
+    deleteKey(keyRef)
+    setVaultKeys(prev => {
+      const rest = { ...prev }
+      delete rest[keyRef]
+      return rest
+    })
+  }
+
+  const handleAutoLockChange = (minutes) => {
+    setAutoLockMinutes(minutes)
+    saveAutoLockMinutes(minutes)
+  }
+
+  // Starts over: consent, vault and grid are all gone after the reload
+  const handleClearAllData = async () => {
+    await clearAllData()
+    window.location.reload()
+  }
 
   // Consent handlers
   const handleConsent = () => {
@@ -198,9 +303,32 @@ function App() {
   }
 
   const handleSendMasterPrompt = () => {
-    if (masterPrompt.trim()) {
+    if (masterPrompt.trim() && !expectedAnswerCheck?.error && !schemaCheck?.error) {
       if (!isStarted) setIsStarted(true)
-      setTriggerSend(prev => prev + 1)
+      // A new prompt in blind mode is a new vote: hide and reshuffle again
+      if (blindMode && identitiesRevealed) {
+        setBlindOrder(shuffle(activeModels.map(m => m.id)))
+        setIdentitiesRevealed(false)
+      }
+      setRoundWinnerId(null)
+      // A round still running is superseded; keep what it got so far
+      if (round && !round.finishedAt) saveRound(round)
+      // Every column in the arena appends this as its next user turn, as the coordinator starts it
+      setRound(orderedModels.length > 0
+        ? createRound({
+            prompt: masterPrompt.trim(),
+            expected: expectedAnswerCheck ? expectedAnswer.trim() : null,
+            responseSchema: schemaCheck?.schema ?? null,
+            attachments,
+            modelIds: orderedModels.map(m => m.id),
+            params: Object.fromEntries(orderedModels.map(m => [m.id, m.params ?? null])),
+            concurrency
+          })
+        : null)
+      setExpectedAnswer('')
+      setAttachments([])
+      setAttachmentError('')
+      setMasterPrompt('')
     }
   }
 
@@ -211,6 +339,375 @@ function App() {
     }
   }
 
+  // Attachments: dropped, pasted or picked files for the next master prompt
+  const handleAddFiles = async (files) => {
+    const free = MAX_ATTACHMENTS - attachments.length
+    if (files.length > free) {
+      setAttachmentError(`Up to ${MAX_ATTACHMENTS} attachments per prompt`)
+    } else {
+      setAttachmentError('')
+    }
+
+    const added = []
+    for (const file of files.slice(0, Math.max(free, 0))) {
+      try {
+        added.push(await readAttachment(file))
+      } catch (err) {
+        setAttachmentError(err.message)
+      }
+    }
+    if (added.length > 0) {
+      setAttachments(prev => [...prev, ...added])
+      if (!isStarted) setIsStarted(true)
+    }
+  }
+
+  const handleRemoveAttachment = (id) => {
+    setAttachments(prev => prev.filter(a => a.id !== id))
+    setAttachmentError('')
+  }
+
+  const handleMasterPaste = (e) => {
+    const files = [...e.clipboardData.files]
+    if (files.length === 0) return
+    e.preventDefault()
+    handleAddFiles(files)
+  }
+
+  const handleMasterDrop = (e) => {
+    e.preventDefault()
+    setIsDraggingFiles(false)
+    handleAddFiles([...e.dataTransfer.files])
+  }
+
+  const handleMasterDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return
+    e.preventDefault()
+    setIsDraggingFiles(true)
+  }
+
+  // Blind mode
+  const handleToggleBlindMode = () => {
+    setBlindMode(prev => !prev)
+    setBlindOrder(shuffle(activeModels.map(m => m.id)))
+    setIdentitiesRevealed(false)
+  }
+
+  const handleReply = (reply) => {
+    const model = activeModels.find(m => m.id === reply.modelIdentifier)
+    const cost = estimateCost(reply.usage, model && pricing[model.name])
+    setRoundReplies(prev => ({ ...prev, [reply.modelIdentifier]: { ...reply, cost } }))
+    if (reply.roundId) setRound(prev => prev?.id === reply.roundId ? completeEntry(prev, { ...reply, cost }) : prev)
+    recordSpend(cost)
+  }
+
+  const handleJudgeSettingsChange = (settings) => {
+    setJudgeSettings(settings)
+    saveJudgeSettings(settings)
+  }
+
+  // Grades the current round again with the panel's settings, replacing any earlier verdict
+  const handleJudgeNow = () => {
+    judgedRoundIds.current.delete(round.id)
+    setRound(prev => ({ ...prev, judgeRequested: true, judgeVerdict: null, judgeError: null }))
+    setActivePanel(null)
+  }
+
+  const handleConcurrencyChange = (value) => {
+    setConcurrency(value)
+    saveConcurrency(value)
+  }
+
+  // Spend
+  const recordSpend = (cost) => {
+    if (!cost) return
+    setSpend(prev => {
+      const updated = { ...prev, total: prev.total + cost }
+      saveSpend(updated)
+      return updated
+    })
+  }
+
+  const handleResetSpend = () => {
+    const reset = { total: 0, since: new Date().toISOString() }
+    setSpend(reset)
+    saveSpend(reset)
+  }
+
+  const handlePricingChange = (updated) => {
+    setPricing(updated)
+    savePricing(updated)
+  }
+
+  const handleBudgetChange = (value) => {
+    setBudget(value)
+    saveBudget(value)
+  }
+
+  // Models that answered this round without an error; a failed model didn't lose
+  const getCompetitors = (modelId) =>
+    arenaModels
+      .filter(m => m.id !== modelId && roundReplies[m.id] && !roundReplies[m.id].error)
+      .map(m => m.id)
+
+  const handleWinnerSelected = (winner) => {
+    setRoundWinnerId(winner.modelIdentifier)
+    if (winner.blind) setIdentitiesRevealed(true)
+  }
+
+  // Columns in display order; models added after shuffling go last
+  const displayedModels = blindMode
+    ? [
+        ...blindOrder.map(id => activeModels.find(m => m.id === id)).filter(Boolean),
+        ...activeModels.filter(m => !blindOrder.includes(m.id))
+      ]
+    : activeModels
+
+  // While focused on a winner the other columns stay mounted but hidden, keeping their conversations
+  const focusedModel = activeModels.find(m => m.id === focusedModelId)
+  const arenaModels = focusedModel ? [focusedModel] : displayedModels
+
+  // Pinned columns lead, each group keeping the grid's order
+  const orderedModels = [...arenaModels.filter(m => m.pinned), ...arenaModels.filter(m => !m.pinned)]
+  const maximizedModel = orderedModels.find(m => m.id === maximizedId)
+  const activeTab = orderedModels.find(m => m.id === activeTabId && !m.pinned)
+    || orderedModels.find(m => !m.pinned)
+    || orderedModels[0]
+
+  // Hidden columns stay mounted so their conversations survive layout changes
+  const isColumnVisible = (model) => {
+    if (maximizedModel) return model === maximizedModel
+    if (layoutSettings.layout === 'tabs') return model.pinned || model === activeTab
+    return orderedModels.includes(model)
+  }
+
+  const handleLayoutChange = (changes) => {
+    setLayoutSettings(prev => {
+      const updated = { ...prev, ...changes }
+      saveLayout(updated)
+      return updated
+    })
+  }
+
+  const handleRemoveModel = (modelId) => {
+    setActiveModels(prevModels => {
+      const updated = prevModels.filter(model => model.id !== modelId)
+      saveActiveModels(updated)
+      return updated
+    })
+    setBlindOrder(prev => prev.filter(id => id !== modelId))
+    setCompareSelection(prev => prev.filter(id => id !== modelId))
+    setRound(prev => prev && removeEntry(prev, modelId))
+    setRoundReplies(prev => {
+      const rest = { ...prev }
+      delete rest[modelId]
+      return rest
+    })
+  }
+
+  const handleTogglePin = (modelId) => {
+    setActiveModels(prevModels => {
+      const updated = prevModels.map(model => model.id === modelId ? { ...model, pinned: !model.pinned } : model)
+      saveActiveModels(updated)
+      return updated
+    })
+  }
+
+  const handleToggleMaximize = (modelId) => {
+    setMaximizedId(prev => prev === modelId ? null : modelId)
+  }
+
+  // Drag-to-reorder: the dragged column takes the drop target's place
+  const handleColumnDragOver = (e, modelId) => {
+    if (!e.dataTransfer.types.includes(COLUMN_DRAG_TYPE)) return
+    e.preventDefault()
+    setDragOverId(modelId)
+  }
+
+  const handleColumnDrop = (e, modelId) => {
+    const draggedId = e.dataTransfer.getData(COLUMN_DRAG_TYPE)
+    setDragOverId(null)
+    if (!draggedId) return
+    e.preventDefault()
+    setActiveModels(prevModels => {
+      const updated = moveItem(prevModels, draggedId, modelId)
+      saveActiveModels(updated)
+      return updated
+    })
+  }
+
+  const handleColumnsScroll = (e) => {
+    if (e.target.classList?.contains('chatMessages')) syncScroll(e.currentTarget, e.target, '.chatMessages')
+  }
+
+  // What a started column answers, and the round's progress for the toolbar
+  const roundRequest = round && { id: round.id, prompt: round.prompt, attachments: round.attachments, responseSchema: round.responseSchema }
+  const roundSummary = round && summarizeRound(round)
+  // Null while the tray is closed or empty: the next prompt isn't scored
+  const expectedAnswerCheck = showExpectedAnswer && expectedAnswer.trim() ? describeExpectedAnswer(expectedAnswer.trim()) : null
+  const schemaCheck = showSchema && schemaText.trim() ? parseSchema(schemaText) : null
+  const fastestModel = roundSummary?.fastest && activeModels.find(m => m.id === roundSummary.fastest.modelId)
+  const judgeVerdict = round?.judgeVerdict
+  const judgeRanked = (judgeVerdict?.ranking || []).map(id => activeModels.find(m => m.id === id)).filter(Boolean)
+
+  // Columns are rendered in a fixed order and placed with CSS order, so reordering never remounts them
+  const renderedModels = [...displayedModels].sort((a, b) => a.id.localeCompare(b.id))
+
+  const handleContinueWithWinner = (modelId) => {
+    setFocusedModelId(modelId)
+    setCompareMode(false)
+    setCompareSelection([])
+  }
+
+  // Column title as the grid shows it (blind label while identities are hidden)
+  const getModelLabel = (model) => {
+    const index = displayedModels.indexOf(model)
+    return blindMode && !identitiesRevealed ? getBlindLabel(index) : getInstanceName(model)
+  }
+
+  // Compare: pick two replies, the diff opens once the second is picked
+  const handleToggleCompareMode = () => {
+    setCompareMode(prev => !prev)
+    setCompareSelection([])
+  }
+
+  const handleToggleCompare = (modelId) => {
+    setCompareSelection(prev => prev.includes(modelId)
+      ? prev.filter(id => id !== modelId)
+      : [...prev, modelId].slice(-2))
+  }
+
+  const handleCloseDiff = () => {
+    setCompareSelection([])
+    setCompareMode(false)
+  }
+
+  const comparedModels = compareSelection
+    .map(id => displayedModels.find(m => m.id === id))
+    .filter(Boolean)
+
+  // Replies offered for ranking, labelled the way the grid shows them
+  const reviewableReplies = displayedModels
+    .map((model, index) => ({ model, index, reply: roundReplies[model.id] }))
+    .filter(({ model }) => arenaModels.includes(model))
+    .filter(({ reply }) => reply && !reply.error)
+    .map(({ model, index, reply }) => {
+      const hidden = blindMode && !identitiesRevealed
+      return {
+        modelIdentifier: model.id,
+        label: hidden ? getBlindLabel(index) : getInstanceName(model),
+        icon: hidden ? '' : model.icon,
+        response: reply.response
+      }
+    })
+
+  // Built-in providers followed by the user's custom OpenAI-compatible endpoints
+  const providerIcons = [
+    ...icons,
+    ...customProviders.map(p => ({ name: p.id, label: p.name, path: p.icon, baseUrl: p.baseUrl }))
+  ]
+  const getProviderIcon = (provider) => providerIcons.find(icon => icon.name === provider)?.path || ''
+  const getBaseUrl = (provider) => customProviders.find(p => p.id === provider)?.baseUrl
+
+  // Cost of the latest reply of every model on the grid; null until one is priced
+  const pricedReplies = arenaModels.map(m => roundReplies[m.id]?.cost).filter(cost => cost != null)
+  const roundCost = pricedReplies.length > 0 ? pricedReplies.reduce((a, b) => a + b, 0) : null
+  const overBudget = budget != null && spend.total > budget
+
+  const isKnownProvider = (provider) => providerIcons.some(icon => icon.name === provider)
+
+  // A fresh grid column, using the provider's key from the vault
+  const toArenaModel = (provider, name, index) => ({
+    id: createModelIdentifier(provider, name, index),
+    name,
+    provider,
+    icon: getProviderIcon(provider),
+    url: getProviderURL(provider),
+    baseUrl: getBaseUrl(provider),
+    keyRef: provider
+  })
+
+  // Replaces the grid with a new lineup, starting a new conversation
+  const loadLineup = (lineup) => {
+    setActiveModels(lineup)
+    saveActiveModels(lineup)
+    setFocusedModelId(null)
+    setRound(null)
+    setIsStarted(true)
+    setActivePanel(null)
+  }
+
+  // Re-open a past round: rebuild its lineup and put its prompt back in the master input.
+  // Models of providers removed since (e.g. a deleted custom endpoint) are skipped, as for presets.
+  const handleReopenRound = (round) => {
+    const lineup = round.entries
+      .map(entry => parseModelIdentifier(entry.modelIdentifier))
+      .filter(({ provider }) => isKnownProvider(provider))
+      .map(({ provider, model }, i) => toArenaModel(provider, model, i))
+    if (lineup.length === 0) return
+
+    loadLineup(lineup)
+    setMasterPrompt(round.prompt)
+    setExpectedAnswer(round.expected ?? '')
+    setShowExpectedAnswer(Boolean(round.expected))
+    if (round.responseSchema) {
+      setSchemaText(JSON.stringify(round.responseSchema, null, 2))
+      setShowSchema(true)
+    }
+    setActivePreset(null)
+  }
+
+  // Presets: models of providers unknown to this browser (e.g. a custom endpoint never added) are skipped
+  const handleApplyPreset = (preset) => {
+    const lineup = preset.models
+      .filter(model => isKnownProvider(model.provider))
+      .map((model, i) => ({ ...toArenaModel(model.provider, model.name, i), params: model.params }))
+
+    loadLineup(lineup)
+    setActivePreset(preset.name)
+  }
+
+  const handleSavePreset = (name) => {
+    const updated = mergePresets(presets, [toPreset(name, activeModels)])
+    setPresets(updated)
+    savePresets(updated)
+    setActivePreset(name.trim())
+  }
+
+  const handleDeletePreset = (name) => {
+    const updated = presets.filter(p => p.name !== name)
+    setPresets(updated)
+    savePresets(updated)
+    if (activePreset === name) setActivePreset(null)
+  }
+
+  // Shared files bring the custom endpoints their presets use; keys are added separately
+  const handleImportPresets = (imported) => {
+    const updated = mergePresets(presets, imported.presets)
+    setPresets(updated)
+    savePresets(updated)
+
+    const newProviders = imported.customProviders.filter(p => !customProviders.some(c => c.id === p.id))
+    if (newProviders.length > 0) {
+      const providers = [...customProviders, ...newProviders]
+      setCustomProviders(providers)
+      saveCustomProviders(providers)
+    }
+  }
+
+  const handleUseTemplatePrompt = (prompt) => {
+    setMasterPrompt(prompt)
+    setActivePanel(null)
+  }
+
+  const handleParamsChange = (modelId, params) => {
+    setActiveModels(prevModels => {
+      const updated = prevModels.map(model => model.id === modelId ? { ...model, params } : model)
+      saveActiveModels(updated)
+      return updated
+    })
+  }
+
   // Add model modal
   const handleAddModel = () => setShowAddModal(true)
   const handleCloseAddModal = () => {
@@ -223,18 +720,50 @@ function App() {
     setInstanceCount(1)
   }
 
-  const handleIconSelect = async (iconName) => {
+  // Custom providers list their models through the endpoint's /v1/models
+  const handleIconSelect = async (iconName, baseUrl = getBaseUrl(iconName)) => {
     setSelectedProvider(iconName)
     setSelectedModel(null)
     setApiKeyInput('')
     setSaveMessage('')
     setLoadingModels(true)
 
-    const models = await fetchProviderModels(iconName)
+    let models = []
+    if (isCustomProvider(iconName)) {
+      try {
+        models = await discoverModels({ baseUrl, apiKey: vaultKeys?.[iconName], provider: iconName })
+      } catch (err) {
+        setSaveMessage(`❌ Model discovery failed: ${err.message}`)
+      }
+    } else {
+      models = await fetchProviderModels(iconName)
+    }
     setAvailableModels(models)
     setLoadingModels(false)
   }
 
+  const handleSaveCustomProvider = async (provider, apiKey) => {
+    if (apiKey) await handleStoreKey(provider.id, apiKey)
+    const updated = [...customProviders, provider]
+    setCustomProviders(updated)
+    saveCustomProviders(updated)
+    setShowCustomProviderModal(false)
+    handleIconSelect(provider.id, provider.baseUrl)
+  }
+
+  // Models already on the grid keep their base URL and keep working
+  const handleRemoveCustomProvider = (providerId) => {
+    const updated = customProviders.filter(p => p.id !== providerId)
+    setCustomProviders(updated)
+    saveCustomProviders(updated)
+    handleDeleteKey(providerId)
+    if (selectedProvider === providerId) {
+      setSelectedProvider(null)
+      setAvailableModels([])
+      setSelectedModel(null)
+    }
+  }
+
   const handleModelSelect = (model) => {
     setSelectedModel(model)
     setApiKeyInput('')
@@ -243,7 +772,9 @@ function App() {
 
   // Save API key and add model(s)
   const handleSaveApiKey = async () => {
-    if (!apiKeyInput.trim()) {
+    // Custom providers keep the key given when they were added, if any
+    const keyRequired = !isCustomProvider(selectedProvider)
+    if (keyRequired && !apiKeyInput.trim()) {
       setSaveMessage('❌ Please enter an API key')
       return
     }
@@ -255,29 +786,32 @@ function App() {
     setSavingApiKey(true)
     setSaveMessage('⏳ Saving...')
 
-    const saveResult = await saveProviderApiKey(selectedProvider, apiKeyInput)
-    if (!saveResult.success) {
-      setSaveMessage(`❌ Failed to save: ${saveResult.error}`)
-      setSavingApiKey(false)
-      return
+    if (apiKeyInput.trim()) {
+      try {
+        await handleStoreKey(selectedProvider, apiKeyInput.trim())
+      } catch (err) {
+        setSaveMessage(`❌ Failed to save: ${err.message}`)
+        setSavingApiKey(false)
+        return
+      }
     }
 
     const modelName = typeof selectedModel === 'string' ? selectedModel : selectedModel.name
 
     const newModels = Array.from({ length: instanceCount }, (_, i) => ({
-      // Added random suffix to prevent ID collision in fast loops
-      id: `${selectedProvider}-${modelName}-${Date.now()}-${i}-${Math.random().toString(36).substr(2, 5)}`,
+      id: createModelIdentifier(selectedProvider, modelName, i),
       name: modelName,
       provider: selectedProvider,
-      icon: icons.find(i => i.name === selectedProvider)?.path || '',
+      icon: getProviderIcon(selectedProvider),
       url: getProviderURL(selectedProvider),
-      encryptedApiKey: apiKeyInput // We set this immediately so the user can chat without reloading
+      baseUrl: getBaseUrl(selectedProvider),
+      keyRef: selectedProvider
     }));
 
     // Use functional update to ensure we don't lose state
     setActiveModels(prevModels => {
         const updated = [...prevModels, ...newModels];
-        localStorage.setItem('activeModels', JSON.stringify(updated));
+        saveActiveModels(updated);
         return updated;
     })
 
@@ -302,17 +836,16 @@ function App() {
             <p><strong>This application needs to store encrypted API keys in your browser.</strong></p>
             <p>We will store:</p>
             <ul>
-              <li>✓ Encrypted API keys for AI models</li>
+              <li>✓ API keys for AI models, in a vault encrypted with your passphrase</li>
               <li>✓ Your chatbot preferences</li>
               <li>✓ Session data</li>
             </ul>
-            <p><strong>Your data:</strong></p>
+            <p><strong>Your API keys:</strong></p>
             <ul>
-              <li>• Is encrypted before storage</li>
-              <li>• Always leaves local device encrypted</li>
-              <li>• Isn't stored on the server database</li>
-              <li>• Is decrypted only before LM api call</li>
-              <li>• Can be cleared anytime</li>
+              <li>• Are encrypted (AES-GCM) before storage, with a key derived from your passphrase</li>
+              <li>• Are decrypted only while the vault is unlocked, which locks itself when idle</li>
+              <li>• Are sent to the backend only along with a model request, never stored there</li>
+              <li>• Can be cleared anytime (🔑 → Clear all data)</li>
             </ul>
             <p className="warningText">⚠️ We use browser localStorage. This is required for the app to function.</p>
           </div>
@@ -346,36 +879,406 @@ function App() {
             <h2>Add your favourite models using the '+' button on the right of the master input</h2>
           </div>
         ) : (
-          activeModels.map((model) => (
-            <div className="Chats" key={model.id}>
-              <ChatInstance
-                modelName={model.name}
-                modelIcon={model.icon}
-                modelIdentifier={model.id}
-                modelUrl={model.url}
-                masterPrompt={masterPrompt}
-                provider={model.provider}
-                encryptedApiKey={model.encryptedApiKey}
-                hideInputFooter={triggerSend > 0}
-                triggerSend={triggerSend}
-              />
+          <>
+            <div className="gridToolbar">
+              <div className="segmentedControl">
+                {LAYOUTS.map(({ id, label, title }) => (
+                  <button
+                    key={id}
+                    className={layoutSettings.layout === id ? 'selected' : ''}
+                    onClick={() => handleLayoutChange({ layout: id })}
+                    title={title}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <button
+                className={`compareToggle ${layoutSettings.syncScroll ? 'selected' : ''}`}
+                onClick={() => handleLayoutChange({ syncScroll: !layoutSettings.syncScroll })}
+                title="Scroll every column together"
+              >
+                ⇅ Sync scroll
+              </button>
+              <label className="roundConcurrency" title="How many models answer at once; the rest wait their turn">
+                ⚡
+                <select value={concurrency} onChange={(e) => handleConcurrencyChange(Number(e.target.value))}>
+                  {CONCURRENCY_OPTIONS.map(value => (
+                    <option key={value} value={value}>{value === 0 ? 'All at once' : `${value} at a time`}</option>
+                  ))}
+                </select>
+              </label>
+              {roundSummary && (
+                <span className={`roundStatus ${roundSummary.complete ? 'complete' : ''}`}>
+                  {roundSummary.complete ? '✓' : '⏳'} {roundSummary.finished}/{roundSummary.total} done
+                  {roundSummary.failed > 0 && ` · ${roundSummary.failed} failed`}
+                  {roundSummary.queued > 0 && ` · ${roundSummary.queued} waiting`}
+                  {roundSummary.scored > 0 && ` · 🎯 ${roundSummary.matched}/${roundSummary.scored} match`}
+                  {roundSummary.validated > 0 && ` · {} ${roundSummary.valid} pass / ${roundSummary.validated - roundSummary.valid} fail`}
+                  {fastestModel && ` · fastest: ${getModelLabel(fastestModel)} (${(roundSummary.fastest.totalMs / 1000).toFixed(1)}s)`}
+                </span>
+              )}
+              {round && (
+                <ExportReportMenu
+                  getRounds={() => [fromArenaRound(round, roundWinnerId)]}
+                  fileName="arena-round"
+                  title="Export this round as a shareable report"
+                />
+              )}
+              {isAwaitingJudge(round, judgeSettings) && <span className="roundStatus">⚖️ Judging...</span>}
+              {round?.judgeError && (
+                <span className="roundStatus judgeFailed" title={round.judgeError}>⚖️ No verdict: {round.judgeError}</span>
+              )}
+              {maximizedModel && (
+                <button className="compareToggle selected" onClick={() => setMaximizedId(null)} title="Show the whole grid again">
+                  🗗 Restore grid
+                </button>
+              )}
+              {layoutSettings.layout === 'tabs' && !maximizedModel && (
+                <div className="chatTabs">
+                  {orderedModels.filter(m => !m.pinned).map(model => (
+                    <button
+                      key={model.id}
+                      className={`chatTab ${model === activeTab ? 'selected' : ''}`}
+                      onClick={() => setActiveTabId(model.id)}
+                    >
+                      {roundWinnerId === model.id && '👑 '}
+                      {getModelLabel(model)}
+                    </button>
+                  ))}
+                </div>
+              )}
             </div>
-          ))
+
+            {judgeVerdict && (
+              <details className="judgeVerdict">
+                <summary>
+                  ⚖️ {judgeVerdict.judge}: {judgeRanked.map(getModelLabel).join(' > ')}
+                  {roundWinnerId && (judgeVerdict.ranking[0] === roundWinnerId
+                    ? ' · ✓ agrees with your 👑'
+                    : ` · ✗ your 👑 is #${judgeVerdict.ranking.indexOf(roundWinnerId) + 1 || '?'} for the judge`)}
+                </summary>
+                <p>{judgeVerdict.rationale || 'The judge gave no rationale.'}</p>
+              </details>
+            )}
+
+            <div
+              className={`chatColumns ${layoutSettings.layout} ${maximizedModel ? 'maximized' : ''}`}
+              onScrollCapture={layoutSettings.syncScroll ? handleColumnsScroll : undefined}
+            >
+              {renderedModels.map(model => (
+                <div
+                  className={`Chats ${dragOverId === model.id ? 'dropTarget' : ''}`}
+                  key={model.id}
+                  style={{ order: orderedModels.indexOf(model), display: isColumnVisible(model) ? undefined : 'none' }}
+                  onDragOver={(e) => handleColumnDragOver(e, model.id)}
+                  onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setDragOverId(null)}
+                  onDrop={(e) => handleColumnDrop(e, model.id)}
+                >
+                  <ChatInstance
+                    modelName={model.name}
+                    modelIcon={model.icon}
+                    modelIdentifier={model.id}
+                    modelUrl={model.url}
+                    roundRequest={round?.entries[model.id] && round.entries[model.id].status !== 'queued' ? roundRequest : null}
+                    provider={model.provider}
+                    apiKey={vaultKeys?.[model.keyRef]}
+                    baseUrl={model.baseUrl}
+                    params={model.params}
+                    onParamsChange={handleParamsChange}
+                    price={pricing[model.name] || null}
+                    blindLabel={blindMode ? getBlindLabel(displayedModels.indexOf(model)) : null}
+                    hideIdentity={blindMode && !identitiesRevealed}
+                    competitors={getCompetitors(model.id)}
+                    isWinner={roundWinnerId === model.id}
+                    scores={round?.entries[model.id]?.scores ?? null}
+                    judgeRank={judgeVerdict?.ranking.includes(model.id) ? judgeVerdict.ranking.indexOf(model.id) + 1 : null}
+                    isFocused={focusedModelId === model.id}
+                    onContinueWithWinner={handleContinueWithWinner}
+                    deepLinkUrl={DEEP_LINK_PROVIDERS.includes(model.provider) ? model.url : null}
+                    roundDecided={roundWinnerId !== null}
+                    compareSelectable={compareMode}
+                    compareSelected={compareSelection.includes(model.id)}
+                    onToggleCompare={handleToggleCompare}
+                    onReply={handleReply}
+                    onWinnerSelected={handleWinnerSelected}
+                    reorderable={!blindMode}
+                    isPinned={Boolean(model.pinned)}
+                    onTogglePin={handleTogglePin}
+                    isMaximized={maximizedModel === model}
+                    onToggleMaximize={handleToggleMaximize}
+                    onRemove={handleRemoveModel}
+                  />
+                </div>
+              ))}
+            </div>
+          </>
         )}
       </div>
 
-      <div className="masterInputContainer" style={{ display: (triggerSend > 0 && activeModels.length !== 0) ? 'none' : 'flex' }}>
+      <div
+        className={`masterInputContainer ${isDraggingFiles ? 'draggingFiles' : ''}`}
+        onDragOver={handleMasterDragOver}
+        onDragLeave={() => setIsDraggingFiles(false)}
+        onDrop={handleMasterDrop}
+      >
+        {(attachments.length > 0 || attachmentError) && (
+          <div className="attachmentTray">
+            <AttachmentPreview attachments={attachments} onRemove={handleRemoveAttachment} />
+            {attachmentError && <span className="attachmentError">{attachmentError}</span>}
+          </div>
+        )}
+        {(showExpectedAnswer || showSchema) && (
+          <div className="promptTrays">
+            {showSchema && (
+              <div className="promptTray">
+                <textarea
+                  className="promptTrayInput code"
+                  value={schemaText}
+                  onChange={(e) => setSchemaText(e.target.value)}
+                  placeholder='JSON schema, e.g. { "type": "object", "properties": { "name": { "type": "string" } }, "required": ["name"] }'
+                  rows={5}
+                  spellCheck={false}
+                />
+                <span className={`promptTrayHint ${schemaCheck?.error ? 'error' : ''}`}>
+                  {schemaCheck?.error || 'Sent with every prompt while this is open; replies are shown as JSON and validated against it.'}
+                </span>
+              </div>
+            )}
+            {showExpectedAnswer && (
+              <div className="promptTray">
+                <textarea
+                  className="promptTrayInput"
+                  value={expectedAnswer}
+                  onChange={(e) => setExpectedAnswer(e.target.value)}
+                  placeholder="Expected answer: text, /regex/flags or JSON. Replies to the next prompt are scored against it."
+                  rows={2}
+                />
+                {expectedAnswerCheck && (
+                  <span className={`promptTrayHint ${expectedAnswerCheck.error ? 'error' : ''}`}>
+                    {expectedAnswerCheck.error || {
+                      regex: 'Scored as a regex match',
+                      json: 'Scored as JSON equality, exact and normalized match, token F1 and ROUGE-L',
+                      text: 'Scored as exact and normalized match, token F1 and ROUGE-L'
+                    }[expectedAnswerCheck.kind]}
+                  </span>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+        <button
+          className={`masterPanelButton ${showSchema ? 'active' : ''}`}
+          onClick={() => setShowSchema(prev => !prev)}
+          title={showSchema ? "Structured output on: replies must follow the JSON schema" : "Structured output: attach a JSON schema"}
+        >
+          {'{}'}
+        </button>
+        <button
+          className={`masterPanelButton ${showExpectedAnswer ? 'active' : ''}`}
+          onClick={() => setShowExpectedAnswer(prev => !prev)}
+          title="Expected answer: score the replies against a reference"
+        >
+          🎯
+        </button>
+        <label className="masterPanelButton" title="Attach images or text files (or drop / paste them)">
+          📎
+          <input
+            type="file"
+            multiple
+            accept="image/png,image/jpeg,image/gif,image/webp,text/*,.md,.csv,.json,.jsonl,.yaml,.yml,.xml,.log"
+            onChange={(e) => {
+              handleAddFiles([...e.target.files])
+              e.target.value = ''
+            }}
+            hidden
+          />
+        </label>
         <input
           className="masterInput"
           value={masterPrompt}
           onChange={handleMasterPromptChange}
           onKeyDown={handleKeyPress}
-          placeholder="This is the master input. Type your message..."
+          onPaste={handleMasterPaste}
+          placeholder={focusedModel
+            ? `Continue with ${getInstanceName(focusedModel)}...`
+            : round ? "Send a follow-up to every model..." : "This is the master input. Type your message..."}
           autoComplete='off'
         />
+        {presets.length > 0 && (
+          <select
+            className="presetSelect"
+            value={activePreset ?? ''}
+            onChange={(e) => {
+              const preset = presets.find(p => p.name === e.target.value)
+              if (preset) handleApplyPreset(preset)
+            }}
+            title="Switch preset"
+          >
+            <option value="" disabled>Preset...</option>
+            {presets.map(preset => <option key={preset.name} value={preset.name}>{preset.name}</option>)}
+          </select>
+        )}
+        <button className="masterPanelButton" onClick={() => setActivePanel('presets')} title="Save, share & load presets">🗂</button>
+        {focusedModel && (
+          <button
+            className="masterPanelButton active"
+            onClick={() => setFocusedModelId(null)}
+            title="Show every model again"
+          >
+            ⊞
+          </button>
+        )}
+        <button
+          className={`masterPanelButton ${blindMode ? 'active' : ''}`}
+          onClick={handleToggleBlindMode}
+          title={blindMode ? "Blind mode on: identities hidden until you pick a winner" : "Turn on blind mode"}
+        >
+          {blindMode ? '🙈' : '👁'}
+        </button>
+        <button
+          className={`masterPanelButton ${compareMode ? 'active' : ''}`}
+          onClick={handleToggleCompareMode}
+          title={compareMode ? "Pick two replies to compare" : "Compare two replies"}
+        >
+          ⇄
+        </button>
+        <button
+          className="masterPanelButton"
+          onClick={() => setActivePanel('review')}
+          disabled={reviewableReplies.length === 0}
+          title="Rank & score this round"
+        >
+          📝
+        </button>
+        <button className="masterPanelButton" onClick={() => setActivePanel('batch')} title="Prompt templates & batch runs">📋</button>
+        <button className="masterPanelButton" onClick={() => setActivePanel('history')} title="Browse past comparisons">🕘</button>
+        <button className="masterPanelButton" onClick={() => setActivePanel('leaderboard')} title="Leaderboard">🏆</button>
+        <button
+          className={`masterPanelButton ${judgeSettings.enabled ? 'active' : ''}`}
+          onClick={() => setActivePanel('judge')}
+          title="LLM judge: grade every round with a model"
+        >
+          ⚖️
+        </button>
+        <button className="masterPanelButton" onClick={() => setActivePanel('keys')} title="Manage API keys">🔑</button>
+        <button
+          className={`masterPanelButton costButton ${overBudget ? 'overBudget' : ''}`}
+          onClick={() => setActivePanel('pricing')}
+          title={`Round: ${formatCost(roundCost)} · Spent: ${formatCost(spend.total)}${budget != null ? ` of ${formatCost(budget)} budget` : ''}`}
+        >
+          {overBudget ? '⚠️' : '💲'}
+          {roundCost != null && <span className="roundCost">{formatCost(roundCost)}</span>}
+        </button>
         <button className="masterAddButton" onClick={handleAddModel} title="Add custom model">+</button>
       </div>
 
+      {activePanel === 'history' && (
+        <HistoryPanel
+          icons={providerIcons}
+          onReopenRound={handleReopenRound}
+          onOpenReport={(report) => {
+            setImportedReport(report)
+            setActivePanel(null)
+          }}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+
+      {importedReport && (
+        <ReportView report={importedReport} icons={providerIcons} onClose={() => setImportedReport(null)} />
+      )}
+
+      {comparedModels.length === 2 && (
+        <DiffView
+          left={{ label: getModelLabel(comparedModels[0]), text: roundReplies[comparedModels[0].id]?.response }}
+          right={{ label: getModelLabel(comparedModels[1]), text: roundReplies[comparedModels[1].id]?.response }}
+          onClose={handleCloseDiff}
+        />
+      )}
+
+      {activePanel === 'review' && (
+        <RoundReview
+          prompt={round?.prompt || roundReplies[reviewableReplies[0]?.modelIdentifier]?.prompt}
+          replies={reviewableReplies}
+          onClose={() => setActivePanel(null)}
+          onSaved={() => setTimeout(() => setActivePanel(null), 1200)}
+        />
+      )}
+
+      {activePanel === 'batch' && (
+        <BatchRunner
+          models={activeModels}
+          apiKeys={vaultKeys || {}}
+          judge={judgeSettings}
+          pricing={pricing}
+          spend={spend}
+          budget={budget}
+          onSpend={recordSpend}
+          onUsePrompt={handleUseTemplatePrompt}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+
+      {activePanel === 'leaderboard' && (
+        <Leaderboard
+          icons={providerIcons}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+
+      {activePanel === 'pricing' && (
+        <PricingPanel
+          models={activeModels}
+          pricing={pricing}
+          onPricingChange={handlePricingChange}
+          spend={spend}
+          onResetSpend={handleResetSpend}
+          budget={budget}
+          onBudgetChange={handleBudgetChange}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+
+      {activePanel === 'judge' && (
+        <JudgePanel
+          models={activeModels}
+          settings={judgeSettings}
+          onChange={handleJudgeSettingsChange}
+          onJudgeNow={round?.finishedAt && getJudgeableReplies(round).length >= 2 ? handleJudgeNow : null}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+
+      {activePanel === 'presets' && (
+        <PresetPanel
+          presets={presets}
+          models={activeModels}
+          customProviders={customProviders}
+          activePreset={activePreset}
+          onSavePreset={handleSavePreset}
+          onApplyPreset={handleApplyPreset}
+          onDeletePreset={handleDeletePreset}
+          onImportPresets={handleImportPresets}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+
+      {activePanel === 'keys' && (
+        <KeyManager
+          icons={providerIcons}
+          models={activeModels}
+          apiKeys={vaultKeys || {}}
+          autoLockMinutes={autoLockMinutes}
+          onSaveKey={handleStoreKey}
+          onDeleteKey={handleDeleteKey}
+          onAutoLockChange={handleAutoLockChange}
+          onLock={handleLockVault}
+          onClearAll={handleClearAllData}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+
       {showAddModal && (
         <div className="modalOverlay" onClick={handleCloseAddModal}>
           <div className="addModal" onClick={(e) => e.stopPropagation()}>
@@ -383,16 +1286,32 @@ function App() {
             <div className="modalContentGrid">
               <div className="modalLeftColumn">
                 <div className="iconSelectorGrid">
-                  {icons.map((icon) => (
+                  {providerIcons.map((icon) => (
                     <div
                       key={icon.name}
                       className={`iconSelectItem ${selectedProvider === icon.name ? 'selected' : ''}`}
                       onClick={() => handleIconSelect(icon.name)}
                     >
-                      <img src={icon.path} alt={icon.name} className="modelIconLarge" />
-                      <p>{icon.name}</p>
+                      {icon.baseUrl && (
+                        <button
+                          className="removeProviderButton"
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            handleRemoveCustomProvider(icon.name)
+                          }}
+                          title="Remove this custom provider"
+                        >
+                          ✕
+                        </button>
+                      )}
+                      <img src={icon.path} alt={icon.label || icon.name} className="modelIconLarge" />
+                      <p title={icon.baseUrl}>{icon.label || icon.name}</p>
                     </div>
                   ))}
+                  <div className="iconSelectItem addProviderItem" onClick={() => setShowCustomProviderModal(true)} title="Add an OpenAI-compatible endpoint">
+                    <span className="addProviderIcon">+</span>
+                    <p>Custom provider</p>
+                  </div>
                 </div>
               </div>
               <div className="modalRightColumn">
@@ -419,7 +1338,7 @@ function App() {
                         })}
                       </ul>
                     ) : (
-                      <p className="emptyText">No models available for {selectedProvider}</p>
+                      <p className="emptyText">No models available for {providerIcons.find(icon => icon.name === selectedProvider)?.label || selectedProvider}</p>
                     )
                   ) : (
                     <p className="emptyText">← Select a provider to view available models</p>
@@ -431,7 +1350,7 @@ function App() {
                   <input
                     type="password"
                     className="apiKeyInput"
-                    placeholder="Enter your API key..."
+                    placeholder={isCustomProvider(selectedProvider) ? "Optional for custom providers..." : "Enter your API key..."}
                     value={apiKeyInput}
                     onChange={(e) => setApiKeyInput(e.target.value)}
                     disabled={savingApiKey}
@@ -440,7 +1359,7 @@ function App() {
                   <button
                     className="saveKeyButton"
                     onClick={handleSaveApiKey}
-                    disabled={savingApiKey || !apiKeyInput.trim()}
+                    disabled={savingApiKey || (!apiKeyInput.trim() && !isCustomProvider(selectedProvider))}
                   >
                     {savingApiKey ? 'Saving...' : 'Save & Add Model(s)'}
                   </button>
@@ -456,6 +1375,20 @@ function App() {
           </div>
         </div>
       )}
+
+      {showCustomProviderModal && (
+        <CustomProviderModal
+          icons={icons}
+          takenIds={providerIcons.map(icon => icon.name)}
+          onSave={handleSaveCustomProvider}
+          onClose={() => setShowCustomProviderModal(false)}
+        />
+      )}
+
+      {/* Over the arena rather than instead of it, so conversations survive an auto-lock */}
+      {vaultKeys === null && (
+        <VaultModal onUnlock={setVaultKeys} onClearAll={handleClearAllData} />
+      )}
     </div>
   )
 }
@@ -0,0 +1,23 @@
+import './AttachmentPreview.css'
+
+// Thumbnails for images, name chips for text files; onRemove adds a ✕ to each
+function AttachmentPreview({ attachments = [], onRemove }) {
+  if (attachments.length === 0) return null
+
+  return (
+    <div className="attachmentPreview">
+      {attachments.map(attachment => (
+        <div key={attachment.id} className="attachmentItem" title={attachment.name}>
+          {attachment.kind === 'image'
+            ? <img src={attachment.previewUrl} alt={attachment.name} />
+            : <span className="attachmentFile">📄 {attachment.name}</span>}
+          {onRemove && (
+            <button className="attachmentRemove" onClick={() => onRemove(attachment.id)} title={`Remove ${attachment.name}`}>✕</button>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default AttachmentPreview
@@ -0,0 +1,492 @@
+import { useState, useMemo, useRef } from 'react'
+import './BatchRunner.css'
+import { processChat, withRetries, toChatError, ERROR_CATEGORIES, DEFAULT_TIMEOUT_SECONDS } from './chatApi'
+import { runWithConcurrency } from './concurrency'
+import { extractVariables, fillTemplate, parseDataset, toCsv } from './dataset'
+import { downloadFile } from './download'
+import { describeParams } from './generationParams'
+import { DEFAULT_OUTPUT_TOKENS, estimateCost, estimateTokens, formatCost } from './pricing'
+import { runJudge } from './judge'
+
+const MAX_CONCURRENCY = 8
+
+const recordRowWinner = async (selection) => {
+  try {
+    const response = await fetch('/api/select-winner', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(selection)
+    });
+
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    return { success: true };
+  } catch (error) {
+    console.error('Error recording winner:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const loadTemplates = () => JSON.parse(localStorage.getItem('promptTemplates') || '[]')
+
+const resultKey = (rowIndex, modelId) => `${rowIndex}:${modelId}`
+
+// Upper-bound guess for a whole run, before any reply exists
+const estimateRunCost = (prompts, models, pricing) => {
+  let cost = 0
+  let unpriced = 0
+  for (const model of models) {
+    const price = pricing[model.name]
+    if (!price) {
+      unpriced++
+      continue
+    }
+    for (const prompt of prompts) {
+      cost += estimateCost({
+        inputTokens: estimateTokens(prompt + (model.params?.systemPrompt || '')),
+        outputTokens: model.params?.maxTokens ?? DEFAULT_OUTPUT_TOKENS
+      }, price)
+    }
+  }
+  return { cost, unpriced }
+}
+
+// models: the active arena models; apiKeys: the unlocked vault's keys by keyRef;
+// judge: the LLM judge settings (see judge.js), which can grade every row after a run;
+// onUsePrompt puts a filled template in the master input; onSpend(cost) adds each
+// reply's cost to the running spend
+function BatchRunner({ models = [], apiKeys = {}, judge = null, pricing = {}, spend = { total: 0 }, budget = null, onSpend, onUsePrompt, onClose }) {
+  const [templates, setTemplates] = useState(loadTemplates)
+  const [templateName, setTemplateName] = useState('')
+  const [templateText, setTemplateText] = useState('')
+  const [values, setValues] = useState({}) // Variables typed in by hand for a single arena prompt
+  const [dataset, setDataset] = useState(null) // { fileName, rows }
+  const [datasetError, setDatasetError] = useState('')
+  const [concurrency, setConcurrency] = useState(3)
+  const [run, setRun] = useState(null) // Snapshot of { rows, prompts, models } the results belong to
+  const [results, setResults] = useState({}) // resultKey -> { status, response, error, responseTimeMs }
+  const [winners, setWinners] = useState({}) // rowIndex -> modelId
+  const [verdicts, setVerdicts] = useState({}) // rowIndex -> judge verdict, or { error }
+  const [running, setRunning] = useState(false)
+  const [confirmingRun, setConfirmingRun] = useState(false) // The estimate exceeds the budget left
+  const abortControllerRef = useRef(null)
+
+  const variables = useMemo(() => extractVariables(templateText), [templateText])
+  const columns = useMemo(() => [...new Set((dataset?.rows || []).flatMap(row => Object.keys(row)))], [dataset])
+  const missingVariables = dataset ? variables.filter(v => !columns.includes(v)) : []
+
+  const prompts = useMemo(() => (dataset?.rows || []).map(row => fillTemplate(templateText, row)), [dataset, templateText])
+  const estimate = useMemo(() => estimateRunCost(prompts, models, pricing), [prompts, models, pricing])
+  const exceedsBudget = budget != null && spend.total + estimate.cost > budget
+
+  const total = run ? run.prompts.length * run.models.length : 0
+  const runCost = Object.values(results).reduce((sum, r) => sum + (r.cost || 0), 0)
+  const finished = Object.values(results).filter(r => r.status === 'done' || r.status === 'error').length
+
+  // Templates
+  const saveTemplates = (updated) => {
+    setTemplates(updated)
+    localStorage.setItem('promptTemplates', JSON.stringify(updated))
+  }
+
+  const handleSaveTemplate = () => {
+    const name = templateName.trim()
+    if (!name || !templateText.trim()) return
+    saveTemplates([...templates.filter(t => t.name !== name), { name, text: templateText }])
+  }
+
+  const handleLoadTemplate = (template) => {
+    setTemplateName(template.name)
+    setTemplateText(template.text)
+  }
+
+  const handleDeleteTemplate = (name) => saveTemplates(templates.filter(t => t.name !== name))
+
+  const handleUseInArena = () => onUsePrompt(fillTemplate(templateText, values))
+
+  // Dataset
+  const handleDatasetUpload = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = '' // Allows picking the same file again after editing it
+    if (!file) return
+
+    try {
+      const rows = parseDataset(file.name, await file.text())
+      if (!rows.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+        throw new Error('Every row must be an object of variable values.')
+      }
+      setDataset({ fileName: file.name, rows })
+      setDatasetError(rows.length === 0 ? 'The file has no rows.' : '')
+    } catch (err) {
+      setDataset(null)
+      setDatasetError(`Could not read ${file.name}: ${err.message}`)
+    }
+  }
+
+  // Running
+  const updateResult = (key, update) => {
+    setResults(prev => ({ ...prev, [key]: { ...prev[key], ...update } }))
+  }
+
+  const handleRun = async () => {
+    if (exceedsBudget && !confirmingRun) {
+      setConfirmingRun(true)
+      return
+    }
+
+    const rows = dataset.rows
+    const runModels = [...models]
+    const controller = new AbortController()
+    abortControllerRef.current = controller
+
+    setRun({ rows, prompts, models: runModels })
+    setResults({})
+    setWinners({})
+    setVerdicts({})
+    setRunning(true)
+    setConfirmingRun(false)
+
+    const tasks = prompts.flatMap((prompt, rowIndex) => runModels.map(model => async () => {
+      const key = resultKey(rowIndex, model.id)
+      const startedAt = performance.now()
+      updateResult(key, { status: 'running' })
+
+      try {
+        if (!apiKeys[model.keyRef] && !model.baseUrl) {
+          throw Object.assign(new Error('No API key saved for this model.'), { category: 'invalid_key' })
+        }
+        const timeoutMs = (model.params?.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS) * 1000
+        const data = await withRetries(() => processChat({
+          modelIdentifier: model.id,
+          messages: [{ role: 'user', content: prompt }],
+          apiKey: apiKeys[model.keyRef],
+          baseUrl: model.baseUrl,
+          params: model.params
+        }, { signal: AbortSignal.any([controller.signal, AbortSignal.timeout(timeoutMs)]) }), { signal: controller.signal })
+        const cost = estimateCost(data.usage, pricing[model.name])
+        updateResult(key, {
+          status: 'done',
+          response: data.reply || '',
+          responseTimeMs: Math.round(performance.now() - startedAt),
+          usage: data.usage,
+          cost
+        })
+        onSpend(cost)
+      } catch (err) {
+        const error = toChatError(err)
+        updateResult(key, error.name === 'AbortError'
+          ? { status: 'cancelled' }
+          : { status: 'error', error: error.message, errorCategory: error.category })
+      }
+    }))
+
+    await runWithConcurrency(tasks, concurrency, { signal: controller.signal })
+    abortControllerRef.current = null
+    setRunning(false)
+  }
+
+  const handleCancel = () => abortControllerRef.current?.abort()
+
+  // Replies of a row the judge can compare: [{ modelIdentifier, response }]
+  const getRowReplies = (rowIndex) => run.models
+    .map(model => ({ modelIdentifier: model.id, ...results[resultKey(rowIndex, model.id)] }))
+    .filter(result => result.status === 'done' && result.response?.trim())
+    .map(({ modelIdentifier, response }) => ({ modelIdentifier, response }))
+
+  const judgeableRows = run ? run.prompts.map((_, rowIndex) => rowIndex)
+    .filter(rowIndex => !verdicts[rowIndex]?.ranking && getRowReplies(rowIndex).length >= 2) : []
+
+  // Grades every row with two replies or more that has no verdict yet
+  const handleJudgeRows = async () => {
+    const controller = new AbortController()
+    abortControllerRef.current = controller
+    setRunning(true)
+
+    const tasks = judgeableRows.map(rowIndex => async () => {
+      try {
+        const verdict = await runJudge({
+          judge,
+          apiKey: apiKeys[judge.provider],
+          prompt: run.prompts[rowIndex],
+          replies: getRowReplies(rowIndex),
+          signal: controller.signal
+        })
+        setVerdicts(prev => ({ ...prev, [rowIndex]: verdict }))
+      } catch (err) {
+        if (err.name !== 'AbortError') setVerdicts(prev => ({ ...prev, [rowIndex]: { error: err.message } }))
+      }
+    })
+
+    await runWithConcurrency(tasks, concurrency, { signal: controller.signal })
+    abortControllerRef.current = null
+    setRunning(false)
+  }
+
+  const getJudgeRank = (rowIndex, modelId) => {
+    const rank = verdicts[rowIndex]?.ranking?.indexOf(modelId) ?? -1
+    return rank === -1 ? null : rank + 1
+  }
+
+  const handlePickWinner = async (rowIndex, model) => {
+    if (winners[rowIndex]) return
+
+    setWinners(prev => ({ ...prev, [rowIndex]: model.id }))
+    const result = await recordRowWinner({
+      modelIdentifier: model.id,
+      prompt: run.prompts[rowIndex],
+      response: results[resultKey(rowIndex, model.id)].response,
+      blind: false,
+      judgeVerdict: verdicts[rowIndex]?.ranking ? verdicts[rowIndex] : null,
+      competitors: run.models
+        .filter(m => m.id !== model.id && results[resultKey(rowIndex, m.id)]?.status === 'done')
+        .map(m => m.id)
+    })
+
+    if (!result.success) {
+      setWinners(prev => {
+        const { [rowIndex]: _, ...rest } = prev
+        return rest
+      })
+    }
+  }
+
+  // Export
+  const getExportRows = () => run.prompts.flatMap((prompt, rowIndex) => run.models.map(model => {
+    const result = results[resultKey(rowIndex, model.id)] || {}
+    return {
+      row: rowIndex + 1,
+      ...run.rows[rowIndex],
+      prompt,
+      model: model.name,
+      params: describeParams(model.params),
+      provider: model.provider,
+      modelIdentifier: model.id,
+      status: result.status || 'skipped',
+      response: result.response || '',
+      error: result.error || '',
+      errorCategory: result.errorCategory || '',
+      responseTimeMs: result.responseTimeMs ?? '',
+      inputTokens: result.usage?.inputTokens ?? '',
+      outputTokens: result.usage?.outputTokens ?? '',
+      cost: result.cost ?? '',
+      winner: winners[rowIndex] === model.id,
+      judgeRank: getJudgeRank(rowIndex, model.id) ?? ''
+    }
+  }))
+
+  const handleExportCsv = () => {
+    const rowColumns = [...new Set(run.rows.flatMap(row => Object.keys(row)))]
+    const exportColumns = ['row', ...rowColumns, 'prompt', 'model', 'params', 'provider', 'modelIdentifier', 'status', 'response', 'error', 'errorCategory', 'responseTimeMs', 'inputTokens', 'outputTokens', 'cost', 'winner', 'judgeRank']
+    downloadFile('batch-results.csv', toCsv(getExportRows(), exportColumns), 'text/csv')
+  }
+
+  const handleExportJson = () => {
+    downloadFile('batch-results.json', JSON.stringify(getExportRows(), null, 2), 'application/json')
+  }
+
+  const canRun = !running && models.length > 0 && templateText.trim() && dataset?.rows.length > 0
+
+  return (
+    <div className="modalOverlay" onClick={running ? undefined : onClose}>
+      <div className="batchPanel" onClick={(e) => e.stopPropagation()}>
+        <div className="batchHeader">
+          <h2>📋 Templates & batch runs</h2>
+          <button className="historyCloseButton" onClick={onClose} disabled={running} title="Close batch runs">✕</button>
+        </div>
+
+        <div className="batchSetup">
+          <div className="batchSection">
+            <h3>Template</h3>
+            {templates.length > 0 && (
+              <div className="templateList">
+                {templates.map(template => (
+                  <span key={template.name} className={`templateChip ${template.name === templateName ? 'selected' : ''}`}>
+                    <span onClick={() => handleLoadTemplate(template)}>{template.name}</span>
+                    <button onClick={() => handleDeleteTemplate(template.name)} title="Delete template">✕</button>
+                  </span>
+                ))}
+              </div>
+            )}
+            <input
+              className="apiKeyInput"
+              value={templateName}
+              onChange={(e) => setTemplateName(e.target.value)}
+              placeholder="Template name"
+              autoComplete='off'
+            />
+            <textarea
+              className="templateText"
+              value={templateText}
+              onChange={(e) => setTemplateText(e.target.value)}
+              placeholder="Summarize {{article}} for a {{audience}} audience."
+            />
+            {variables.length > 0 && (
+              <div className="templateVariables">
+                {variables.map(name => (
+                  <label key={name}>
+                    <span>{name}</span>
+                    <input
+                      value={values[name] || ''}
+                      onChange={(e) => setValues(prev => ({ ...prev, [name]: e.target.value }))}
+                      autoComplete='off'
+                    />
+                  </label>
+                ))}
+              </div>
+            )}
+            <div className="batchButtons">
+              <button className="saveKeyButton" onClick={handleSaveTemplate} disabled={!templateName.trim() || !templateText.trim()}>
+                Save template
+              </button>
+              <button className="closeModalButton" onClick={handleUseInArena} disabled={!templateText.trim()} title="Fill the variables above and put the prompt in the master input">
+                Use in arena
+              </button>
+            </div>
+          </div>
+
+          <div className="batchSection">
+            <h3>Dataset</h3>
+            <p className="reviewHint">CSV with a header row, or JSONL with one object per line. Columns fill the template's {'{{variables}}'}.</p>
+            <input type="file" accept=".csv,.jsonl,.json" onChange={handleDatasetUpload} disabled={running} />
+            {dataset && (
+              <p className="datasetSummary">
+                {dataset.fileName}: {dataset.rows.length} row(s) · columns: {columns.join(', ') || 'none'}
+              </p>
+            )}
+            {datasetError && <p className="saveMessage error">{datasetError}</p>}
+            {missingVariables.length > 0 && (
+              <p className="saveMessage error">Missing columns for: {missingVariables.join(', ')}</p>
+            )}
+
+            <label className="concurrencySetting">
+              <span>Parallel requests: {concurrency}</span>
+              <input
+                type="range"
+                min="1"
+                max={MAX_CONCURRENCY}
+                value={concurrency}
+                onChange={(e) => setConcurrency(Number(e.target.value))}
+                disabled={running}
+              />
+            </label>
+
+            <div className="batchButtons">
+              {running ? (
+                <button className="closeModalButton" onClick={handleCancel}>■ Cancel</button>
+              ) : (
+                <>
+                  <button className="saveKeyButton" onClick={handleRun} disabled={!canRun}>
+                    {confirmingRun ? '⚠️ Run anyway' : `▶ Run ${dataset?.rows.length || 0} row(s) × ${models.length} model(s)`}
+                  </button>
+                  {confirmingRun && <button className="closeModalButton" onClick={() => setConfirmingRun(false)}>Cancel</button>}
+                </>
+              )}
+            </div>
+
+            {dataset && models.length > 0 && (
+              <p className={`batchEstimate ${exceedsBudget ? 'overBudget' : ''}`}>
+                Estimated cost ≤ {formatCost(estimate.cost)}
+                {estimate.unpriced > 0 && ` (${estimate.unpriced} model(s) without a price)`}
+                {exceedsBudget && ` · exceeds the budget left (${formatCost(Math.max(budget - spend.total, 0))} of ${formatCost(budget)})`}
+              </p>
+            )}
+
+            {run && (
+              <div className="batchProgress">
+                <div className="batchProgressBar">
+                  <div style={{ width: `${total === 0 ? 0 : (finished / total) * 100}%` }} />
+                </div>
+                <span>{finished} / {total} replies · {formatCost(runCost)}</span>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {run && (
+          <>
+            <div className="batchResultsHeader">
+              <h3>Results</h3>
+              <button className="closeModalButton" onClick={handleExportCsv} disabled={running}>Export CSV</button>
+              <button className="closeModalButton" onClick={handleExportJson} disabled={running}>Export JSON</button>
+              {judge?.provider && (
+                <button
+                  className="saveKeyButton"
+                  onClick={handleJudgeRows}
+                  disabled={running || judgeableRows.length === 0}
+                  title={`Grade every row with ${judge.provider}/${judge.name}; your 👑 picks stay yours`}
+                >
+                  ⚖️ Judge {judgeableRows.length} row(s)
+                </button>
+              )}
+            </div>
+            <div className="batchResults">
+              <table>
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>Prompt</th>
+                    {run.models.map(model => (
+                      <th key={model.id}>
+                        {model.name}
+                        {describeParams(model.params) && <span className="batchParams">{describeParams(model.params)}</span>}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {run.prompts.map((prompt, rowIndex) => (
+                    <tr key={rowIndex}>
+                      <td>{rowIndex + 1}</td>
+                      <td>
+                        <div className="batchCell">{prompt}</div>
+                        {verdicts[rowIndex]?.error && <div className="batchVerdict batchError">⚖️ {verdicts[rowIndex].error}</div>}
+                        {verdicts[rowIndex]?.rationale && (
+                          <details className="batchVerdict">
+                            <summary>⚖️ Rationale</summary>
+                            {verdicts[rowIndex].rationale}
+                          </details>
+                        )}
+                      </td>
+                      {run.models.map(model => {
+                        const result = results[resultKey(rowIndex, model.id)] || { status: 'queued' }
+                        const isWinner = winners[rowIndex] === model.id
+                        return (
+                          <td key={model.id} className={isWinner ? 'batchWinner' : ''}>
+                            {result.status === 'done' ? (
+                              <>
+                                <div className="batchCell">{result.response}</div>
+                                <div className="batchCellFooter">
+                                  <span>
+                                    ⏱ {(result.responseTimeMs / 1000).toFixed(1)}s{result.cost != null && ` · ${formatCost(result.cost)}`}
+                                    {getJudgeRank(rowIndex, model.id) != null && ` · ⚖️ #${getJudgeRank(rowIndex, model.id)}`}
+                                  </span>
+                                  {isWinner ? (
+                                    <span>👑 Winner</span>
+                                  ) : !winners[rowIndex] && (
+                                    <button className="compareToggle" onClick={() => handlePickWinner(rowIndex, model)}>👑 Pick</button>
+                                  )}
+                                </div>
+                              </>
+                            ) : result.status === 'error' ? (
+                              <div className="batchCell batchError">
+                                {ERROR_CATEGORIES[result.errorCategory]?.icon} {result.error}
+                              </div>
+                            ) : (
+                              <span className="batchStatus">{result.status === 'running' ? 'Running...' : result.status}</span>
+                            )}
+                          </td>
+                        )
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default BatchRunner
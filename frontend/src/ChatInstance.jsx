@@ -1,92 +1,217 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef, Fragment } from 'react'
 import './ChatInstance.css'
+import { streamChat, withRetries, toChatError, ERROR_CATEGORIES, DEFAULT_TIMEOUT_SECONDS } from './chatApi'
+import MessageContent from './MessageContent'
+import ParamsEditor from './ParamsEditor'
+import { describeParams } from './generationParams'
+import { addUsage, estimateCost, formatCost, formatTokens } from './pricing'
+import { toMarkdownTranscript, toJsonTranscript, toHandoffText } from './transcript'
+import { downloadFile } from './download'
+import { partitionAttachments, toPayloadAttachment } from './attachments'
+import AttachmentPreview from './AttachmentPreview'
+import ScoreBadges from './ScoreBadges'
+import StructuredReply from './StructuredReply'
+import { COLUMN_DRAG_TYPE } from './layout'
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`
+
+// Extra wait on top of the model's timeout before the column gives up on its own
+const TIMEOUT_GRACE_SECONDS = 5
+
+// Browsers and providers start truncating or rejecting longer URLs
+const MAX_DEEP_LINK_CHARS = 6000
+
+// Strips UI-only fields so only the conversation itself goes to the backend. A user turn
+// whose reply failed goes with it: providers such as Anthropic reject two user turns in a row.
+// Attachments go with the turn that added them only; resending every earlier image on each
+// follow-up would soon pass the server's request size limit.
+const toPayloadMessages = (messages) =>
+  messages
+    .filter((m, i) => m.role === 'user'
+      ? i === messages.length - 1 || (messages[i + 1]?.role === 'assistant' && !messages[i + 1].error)
+      : !m.error)
+    .map(({ role, content, attachments }, i, sent) => i === sent.length - 1 && attachments?.length
+      ? { role, content, attachments: attachments.map(toPayloadAttachment) }
+      : { role, content })
 
 function ChatInstance({ 
   modelName = "AI Model", 
   modelIcon = "", 
   modelIdentifier = "model-1",
   modelUrl = "#",
-  masterPrompt = "",
+  roundRequest = null, // { id, prompt, attachments, responseSchema } once the round coordinator starts this model
   provider = "",
-  encryptedApiKey = "",
-  hideInputFooter = false,
-  triggerSend = 0,
+  apiKey = "", // Decrypted from the key vault, empty while it's locked or has no key for the provider
+  baseUrl = undefined, // Set for custom OpenAI-compatible providers, which may run without a key
+  params = {}, // Generation params: { temperature, topP, maxTokens, seed, systemPrompt }
+  onParamsChange = null,
+  price = null, // { input, output } in USD per million tokens, null when unknown
+  deepLinkUrl = null, // Prompt URL prefix, only for providers known to read it
+  isFocused = false, // The arena continues with this model only
+  onContinueWithWinner = null,
+  // Grid layout: the column's controls, handled by the arena
+  reorderable = false,
+  isPinned = false,
+  onTogglePin = null,
+  isMaximized = false,
+  onToggleMaximize = null,
+  onRemove = null,
+  blindLabel = null, // e.g. "Model A" when the arena runs in blind mode
+  hideIdentity = false,
+  competitors = [], // Identifiers of the other models on the grid this round
+  isWinner = false,
+  judgeRank = null, // Place the LLM judge gave this reply in the round's verdict, 1 for best
+  scores = null, // This round's reply scored against the expected answer (see scoring.js)
+  roundDecided = false, // A winner was already picked for the current round
+  onReply = null,
+  compareSelectable = false, // Show the "pick for compare" toggle
+  compareSelected = false,
+  onToggleCompare = null,
   onWinnerSelected = null
 }) {
-  const [userPrompt, setUserPrompt] = useState(masterPrompt)
-  const [aiResponse, setAiResponse] = useState("")
-  const [isInputHidden, setIsInputHidden] = useState(hideInputFooter)
-  const [showButtons, setShowButtons] = useState(false)
+  // Conversation turns: { role: 'user' | 'assistant', content, ...timing/status fields }
+  const [messages, setMessages] = useState([])
+  const [draft, setDraft] = useState("")
   const [isLoading, setIsLoading] = useState(false)
-  const [error, setError] = useState(null)
-
-    useEffect(() => {
-    const fetchApiKey = async () => {
-      try {
-        const res = await fetch('/api/keys/get', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ provider })
-        })
-        if (res.ok) {
-          const data = await res.json()
-          if (data.apiKey) setEncryptedApiKey(data.apiKey)
-        }
-      } catch (err) {
-        console.error("Failed to load API key:", err)
-      }
-    }
-    fetchApiKey()
-  }, [provider])
+  const [showParams, setShowParams] = useState(false)
+  const [handoffMessage, setHandoffMessage] = useState('')
+  const abortControllerRef = useRef(null)
+  const messagesEndRef = useRef(null)
 
-  // Update prompt when masterPrompt changes
+  // Abort a running stream when the instance goes away
   useEffect(() => {
-    setUserPrompt(masterPrompt)
-  }, [masterPrompt])
+    return () => abortControllerRef.current?.abort()
+  }, [])
 
-  // Trigger send when triggerSend changes
+  // Keep the newest turn in view
   useEffect(() => {
-    if (triggerSend > 0) handleSend()
-  }, [triggerSend])
+    messagesEndRef.current?.scrollIntoView({ block: 'end' })
+  }, [messages])
 
-  const handleSend = async () => {
-    if (!userPrompt.trim()) return
-    if (!encryptedApiKey) {
-      setAiResponse("API key missing. Please add it first.")
+  // Answer the round's master prompt once the round coordinator starts this model
+  const roundRequestId = roundRequest?.id
+  useEffect(() => {
+    if (!roundRequest) return
+    if (isLoading) {
+      // Still answering an earlier prompt: report at once so the round doesn't wait on this column
+      onReply?.({ modelIdentifier, roundId: roundRequest.id, prompt: roundRequest.prompt, response: "", error: true, errorMessage: "Busy with an earlier prompt" })
       return
     }
+    handleSend(roundRequest.prompt, roundRequest.attachments, roundRequest.id, roundRequest.responseSchema)
+  }, [roundRequestId])
+
+  const updateMessage = (index, changes) => {
+    setMessages(prev => prev.map((m, i) => (i === index ? { ...m, ...changes } : m)))
+  }
+
+  // roundId is set when the prompt comes from the master input, responseSchema in structured output mode
+  const handleSend = async (text = draft, attachments = [], roundId = null, responseSchema = null) => {
+    const prompt = text.trim()
+    if (!prompt || isLoading) return
+
+    // Images this model can't take are left out, and the column says so
+    const { accepted, omitted } = partitionAttachments(attachments, provider, modelName)
+    const userMessage = { role: 'user', content: prompt }
+    if (accepted.length > 0) userMessage.attachments = accepted
+    if (omitted.length > 0) userMessage.omittedAttachments = omitted.map(a => a.name)
+    if (responseSchema) userMessage.responseSchema = responseSchema
+
+    setDraft("")
+    requestReply([...messages, userMessage], roundId)
+  }
+
+  // Drops the failed reply and asks again for the same user turn
+  const handleRetry = () => {
+    const lastUserIndex = messages.findLastIndex(m => m.role === 'user')
+    if (lastUserIndex === -1 || isLoading) return
+    requestReply(messages.slice(0, lastUserIndex + 1), messages[messages.length - 1].roundId ?? null)
+  }
+
+  // Streams the reply to the conversation's last user turn
+  const requestReply = async (conversation, roundId) => {
+    const { content: prompt, responseSchema = null } = conversation[conversation.length - 1]
+    const replyIndex = conversation.length
+
+    if (!apiKey && !baseUrl) {
+      const content = "API key missing. Please add it first."
+      setMessages([...conversation, { role: 'assistant', content, error: true, errorCategory: 'invalid_key', roundId }])
+      onReply?.({ modelIdentifier, roundId, prompt, response: "", error: true, errorMessage: content, errorCategory: 'invalid_key' })
+      return
+    }
+
+    const controller = new AbortController()
+    abortControllerRef.current = controller
+    const startedAt = performance.now()
+    let firstTokenMs = null
+    let streamedText = ""
+    let reply = { response: "", error: true }
+
+    // Idle timeout: gives up when neither a reply nor a new token arrives in time.
+    // The grace period lets the backend's own timeout report first.
+    const timeoutMs = ((params.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS) + TIMEOUT_GRACE_SECONDS) * 1000
+    let idleTimer = null
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer)
+      idleTimer = setTimeout(() => controller.abort(new DOMException("No reply before the timeout", 'TimeoutError')), timeoutMs)
+    }
 
     setIsLoading(true)
-    setError(null)
+    setMessages([...conversation, { role: 'assistant', content: "", pending: true, firstTokenMs: null, totalMs: null, roundId, responseSchema }])
+    resetIdleTimer()
 
     try {
-      const response = await fetch('/api/process', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          modelIdentifier,
-          prompt: userPrompt,
-          encryptedApiKey
-        })
+      const data = await withRetries(() => streamChat({
+        modelIdentifier,
+        messages: toPayloadMessages(conversation),
+        apiKey,
+        baseUrl,
+        params,
+        roundId,
+        responseSchema
+      }, {
+        signal: controller.signal,
+        onToken: (token) => {
+          resetIdleTimer()
+          if (firstTokenMs === null) firstTokenMs = performance.now() - startedAt
+          streamedText += token
+          updateMessage(replyIndex, { content: streamedText, firstTokenMs })
+        }
+      }), {
+        signal: controller.signal,
+        // Once part of a reply is on screen a retry would start it over, so it's left to the user
+        canRetry: () => !streamedText,
+        onRetry: ({ attempt, delay, error }) => {
+          resetIdleTimer()
+          updateMessage(replyIndex, { retryNotice: `${ERROR_CATEGORIES[error.category].label}, retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1})` })
+        }
       })
+      updateMessage(replyIndex, { content: data.reply || "No response from AI", usage: data.usage, retryNotice: null })
+      reply = { response: data.reply || "", error: !data.reply, usage: data.usage }
 
-      const data = await response.json()
-      if (!response.ok) {
-        setAiResponse(data.error || "No reply received.")
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        // Keep whatever arrived before the stop button was pressed
+        updateMessage(replyIndex, { content: streamedText || "Stopped before any reply arrived.", stopped: true, error: !streamedText, retryNotice: null })
+        reply = { response: streamedText, error: !streamedText, errorMessage: "Stopped by user" }
       } else {
-        setAiResponse(data.reply || "No response from AI")
+        const error = toChatError(err)
+        updateMessage(replyIndex, { content: error.message, detail: error.detail, errorCategory: error.category, error: true, retryNotice: null })
+        reply = { response: "", error: true, errorMessage: error.message, errorCategory: error.category }
       }
-
-    } catch (err) {
-      setError(err.message || "Failed to get AI response")
-      setAiResponse(`Error: ${err.message || "Could not reach server"}`)
     } finally {
+      clearTimeout(idleTimer)
+      abortControllerRef.current = null
+      const totalMs = performance.now() - startedAt
+      updateMessage(replyIndex, { pending: false, totalMs })
       setIsLoading(false)
-      setIsInputHidden(true)
-      setShowButtons(true)
+      onReply?.({ modelIdentifier, roundId, prompt, ...reply, firstTokenMs, totalMs })
     }
   }
 
+  const handleStop = () => {
+    abortControllerRef.current?.abort()
+  }
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault()
@@ -94,36 +219,46 @@ function ChatInstance({
     }
   }
 
+  const lastReply = [...messages].reverse().find(m => m.role === 'assistant' && !m.pending && !m.error)
+  const lastPrompt = [...messages].reverse().find(m => m.role === 'user')?.content || ""
+  const aiResponse = lastReply?.content || ""
+  const latestTimings = [...messages].reverse().find(m => m.role === 'assistant') || {}
+  const repliesWithUsage = messages.filter(m => m.usage)
+  const conversationUsage = repliesWithUsage.reduce((total, m) => addUsage(total, m.usage), {})
+  const conversationCost = repliesWithUsage.length > 0 ? estimateCost(conversationUsage, price) : null
+  const showButtons = Boolean(lastReply) && !isLoading
+
   const handleSelectWinner = async () => {
+    // Blind votes stay in the arena so the identities can be revealed
+    const isBlindVote = hideIdentity
+
     try {
       // POST to mark this as winner
-      await fetch('/api/select-winner', {
+      const response = await fetch('/api/select-winner', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({ 
           modelIdentifier: modelIdentifier,
-          prompt: userPrompt,
-          response: aiResponse
+          prompt: lastPrompt,
+          response: aiResponse,
+          blind: isBlindVote,
+          competitors,
+          // Links the pick to the round, whose judge verdict is saved with it
+          roundId: messages.findLast(m => m.role === 'assistant')?.roundId ?? null
         })
       })
-      
-      // Load target website with prompt + reply
-      const targetUrl = new URL(modelUrl)
-      targetUrl.searchParams.append('prompt', "Prompt:" + userPrompt)
-      targetUrl.searchParams.append('reply', "Reply:" + aiResponse + "Await further instructions. If you understood, reply with \"Let's keep things going\".")
-      
-      // Open in new tab
-      window.open(targetUrl.toString(), '_blank')
-      
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+
       // Callback to parent if provided
       if (onWinnerSelected) {
         onWinnerSelected({
           modelIdentifier,
           modelName,
-          prompt: userPrompt,
-          response: aiResponse
+          prompt: lastPrompt,
+          response: aiResponse,
+          blind: isBlindVote
         })
       }
       
@@ -131,28 +266,37 @@ function ChatInstance({
       console.error('Failed to select winner:', err)
       alert('Failed to process winner selection')
     }
-    finally {
-      // Reload current page after short delay - always executes
-      setTimeout(() => {
-        window.location.reload()
-      }, 500)
-    }
   }
 
-  const handleDismiss = () => {
-    // Hide this AI instance
-    const container = document.querySelector(`[data-model="${modelIdentifier}"]`)
-    if (container) {
-      container.style.display = 'none'
-    } else {
-      // Fallback: hide nearest container
-      const element = document.querySelector('.chatContainer')
-      if (element) element.style.display = 'none'
+  // Winner handoff: exports of this column's conversation
+  const transcript = { modelName, modelIdentifier, provider, params, messages }
+  const deepLink = deepLinkUrl ? deepLinkUrl + encodeURIComponent(toHandoffText(transcript)) : null
+
+  const handleCopyMarkdown = async () => {
+    try {
+      await navigator.clipboard.writeText(toMarkdownTranscript(transcript))
+      setHandoffMessage('Copied!')
+    } catch (err) {
+      console.error('Failed to copy transcript:', err)
+      setHandoffMessage('Copy failed')
     }
+    setTimeout(() => setHandoffMessage(''), 1500)
+  }
+
+  const handleDownloadTranscript = () => {
+    downloadFile(`${modelName}-transcript.json`, toJsonTranscript(transcript), 'application/json')
+  }
+
+  // Drags the whole column, the arena's columns are the drop targets
+  const handleDragStart = (e) => {
+    e.dataTransfer.setData(COLUMN_DRAG_TYPE, modelIdentifier)
+    e.dataTransfer.effectAllowed = 'move'
+    const column = e.currentTarget.closest('.chatContainer')
+    if (column) e.dataTransfer.setDragImage(column, 20, 20)
   }
 
   const handleIconClick = () => {
-    if (modelUrl && modelUrl !== '#') {
+    if (!hideIdentity && modelUrl && modelUrl !== '#') {
       window.open(modelUrl, '_blank')
     }
   }
@@ -160,72 +304,229 @@ function ChatInstance({
   return (
     <div className="chatContainer" data-model={modelIdentifier}>
       <div className="chatHeader">
-        <span className="chatbotName">{modelName}</span>
+        {reorderable && (
+          <span className="dragHandle" draggable onDragStart={handleDragStart} title="Drag to reorder">⠿</span>
+        )}
+        <span className="chatbotName">
+          {isWinner && '👑 '}
+          {hideIdentity ? blindLabel : modelName}
+          {!hideIdentity && blindLabel && <span className="blindTag">{blindLabel}</span>}
+          {!hideIdentity && describeParams(params) && (
+            <span className="paramsSummary" title={params.systemPrompt}>{describeParams(params)}</span>
+          )}
+        </span>
+        <div className="chatHeaderMeta">
+          {judgeRank != null && (
+            <span className={`judgeRank ${judgeRank === 1 ? 'best' : ''}`} title="Place in the LLM judge's verdict">⚖️ #{judgeRank}</span>
+          )}
+          {latestTimings.firstTokenMs != null && (
+            <span className="chatTiming" title="Time to first token">⚡ {formatSeconds(latestTimings.firstTokenMs)}</span>
+          )}
+          {latestTimings.totalMs != null && (
+            <span className="chatTiming" title="Total response time">⏱ {formatSeconds(latestTimings.totalMs)}</span>
+          )}
+          {repliesWithUsage.length > 0 && (
+            <span className="chatTiming" title={`Tokens in → out for this conversation${price ? '' : ' (no price set for this model)'}`}>
+              🪙 {formatTokens(conversationUsage.inputTokens)}→{formatTokens(conversationUsage.outputTokens)} · {formatCost(conversationCost)}
+            </span>
+          )}
+          {compareSelectable && lastReply && (
+            <button
+              className={`compareToggle ${compareSelected ? 'selected' : ''}`}
+              onClick={() => onToggleCompare?.(modelIdentifier)}
+              title="Pick this reply for a side-by-side diff"
+            >
+              {compareSelected ? '✓ Picked' : '⇄ Pick'}
+            </button>
+          )}
+          {onParamsChange && !hideIdentity && (
+            <button
+              className={`compareToggle ${showParams ? 'selected' : ''}`}
+              onClick={() => setShowParams(prev => !prev)}
+              title="Generation settings and system prompt"
+            >
+              ⚙
+            </button>
+          )}
+          {isLoading && (
+            <button className="stopButton" onClick={handleStop} title="Stop generating">
+              ■ Stop
+            </button>
+          )}
+          <div className="columnControls">
+            {onTogglePin && (
+              <button
+                className={`columnButton ${isPinned ? 'active' : ''}`}
+                onClick={() => onTogglePin(modelIdentifier)}
+                title={isPinned ? "Unpin" : "Pin: keep this column first and visible"}
+              >
+                📌
+              </button>
+            )}
+            {onToggleMaximize && (
+              <button
+                className={`columnButton ${isMaximized ? 'active' : ''}`}
+                onClick={() => onToggleMaximize(modelIdentifier)}
+                title={isMaximized ? "Restore the grid" : "Maximize this column"}
+              >
+                {isMaximized ? '🗗' : '⛶'}
+              </button>
+            )}
+            {onRemove && (
+              <button className="columnButton" onClick={() => onRemove(modelIdentifier)} title="Remove from the arena">
+                ✕
+              </button>
+            )}
+          </div>
+        </div>
         <button 
           className="chatbotIcon" 
           onClick={handleIconClick}
-          disabled={!modelUrl || modelUrl === '#'}
+          disabled={hideIdentity || !modelUrl || modelUrl === '#'}
         >
-          {modelIcon && <img src={modelIcon} alt={`${modelName} icon`} className="iconImage" />}
+          {hideIdentity
+            ? <span className="hiddenIcon">?</span>
+            : modelIcon && <img src={modelIcon} alt={`${modelName} icon`} className="iconImage" />}
         </button>
       </div>
 
+      {showParams && (
+        <ParamsEditor
+          params={params}
+          onSave={(updated) => {
+            onParamsChange(modelIdentifier, updated)
+            setShowParams(false)
+          }}
+          onClose={() => setShowParams(false)}
+        />
+      )}
+
+      <ScoreBadges scores={scores} />
+
       <div className="chatMessages">
-        {userPrompt && (
-          <div className="message userMessage">{userPrompt}</div>
-        )}
-        {isLoading && (
-          <div className="message botMessage loadingMessage">
-            <span className="loadingDots">Thinking</span>
-          </div>
-        )}
-        {aiResponse && !isLoading && (
-          <div className="message botMessage">{aiResponse}</div>
-        )}
-        {error && !aiResponse && (
-          <div className="message botMessage errorMessage">
-            ⚠️ {error}
-          </div>
-        )}
+        {messages.map((message, index) => (
+          message.role === 'user' ? (
+            <Fragment key={index}>
+              <div className="message userMessage">
+                <AttachmentPreview attachments={message.attachments} />
+                {message.content}
+              </div>
+              {message.omittedAttachments && (
+                <div className="attachmentNotice">
+                  ⚠️ {hideIdentity ? 'This model' : modelName} doesn't accept images, sent without: {message.omittedAttachments.join(', ')}
+                </div>
+              )}
+            </Fragment>
+          ) : (
+            <Fragment key={index}>
+              {message.pending && !message.content ? (
+                <div className="message botMessage loadingMessage">
+                  <span className="loadingDots">Thinking</span>
+                  {message.retryNotice && <div className="retryNotice">{message.retryNotice}</div>}
+                </div>
+              ) : (
+                <div className={`message botMessage ${message.pending ? 'streamingMessage' : ''} ${message.error ? `errorMessage ${message.errorCategory || 'unknown'}` : ''}`}>
+                  {message.error && !message.stopped ? (
+                    <>
+                      <span className="errorCategory">
+                        {ERROR_CATEGORIES[message.errorCategory || 'unknown'].icon} {ERROR_CATEGORIES[message.errorCategory || 'unknown'].label}
+                      </span>
+                      {message.content}
+                      {message.detail && (
+                        <details className="errorDetail">
+                          <summary>Details</summary>
+                          {message.detail}
+                        </details>
+                      )}
+                    </>
+                  ) : message.error
+                    ? message.content
+                    : message.responseSchema && !message.pending
+                      ? <StructuredReply content={message.content} schema={message.responseSchema} />
+                      : <MessageContent content={message.content} />}
+                </div>
+              )}
+              {message.stopped && (
+                <div className="stoppedNotice">⏹ Stopped by user</div>
+              )}
+              {message.error && index === messages.length - 1 && !isLoading && (
+                <button className="compareToggle retryButton" onClick={handleRetry} title="Ask this model again">
+                  ↻ Retry
+                </button>
+              )}
+            </Fragment>
+          )
+        ))}
+        <div ref={messagesEndRef} />
       </div>
 
-      {!isInputHidden && (
-        <div className="chatInputWrapper">
-          <input 
-            className="chatTextInput" 
-            value={userPrompt}
-            onChange={(e) => setUserPrompt(e.target.value)}
-            onKeyDown={handleKeyPress}
-            placeholder="Enter your prompt..."
-            disabled={isLoading}
-          />
-          <button 
-            className="sendButton" 
-            onClick={handleSend}
-            disabled={isLoading || !userPrompt.trim()}
-            title="Send to AI"
-          >
-            ➤
+      <div className="chatInputWrapper">
+        <input 
+          className="chatTextInput" 
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyPress}
+          placeholder={messages.length > 0 ? "Ask a follow-up..." : "Enter your prompt..."}
+          disabled={isLoading}
+        />
+        <button 
+          className="sendButton" 
+          onClick={() => handleSend()}
+          disabled={isLoading || !draft.trim()}
+          title="Send to AI"
+        >
+          ➤
+        </button>
+      </div>
+
+      {isWinner && !isLoading && (
+        <div className="handoffBar">
+          {!isFocused && onContinueWithWinner && (
+            <button className="compareToggle selected" onClick={() => onContinueWithWinner(modelIdentifier)} title="Keep chatting with this model only">
+              ▶ Continue with winner
+            </button>
+          )}
+          <button className="compareToggle" onClick={handleCopyMarkdown} title="Copy the conversation as markdown">
+            {handoffMessage || '📋 Markdown'}
+          </button>
+          <button className="compareToggle" onClick={handleDownloadTranscript} title="Download the conversation as JSON">
+            ⬇ JSON
           </button>
+          {deepLink && (
+            <button
+              className="compareToggle"
+              onClick={() => window.open(deepLink, '_blank', 'noopener')}
+              disabled={deepLink.length > MAX_DEEP_LINK_CHARS}
+              title={deepLink.length > MAX_DEEP_LINK_CHARS
+                ? "Conversation too long for a link, copy it as markdown instead"
+                : `Continue this conversation on ${provider}'s site`}
+            >
+              ↗ Open in {provider}
+            </button>
+          )}
         </div>
       )}
 
       {showButtons && (
         <div className="chatInputWrapper">
-          <button 
-            className="actionButton crownButton" 
-            onClick={handleSelectWinner}
-            title="Pick this as winner"
-          >
-            👑 Winner
-          </button>
-          <button 
-            className="actionButton crossButton" 
-            onClick={handleDismiss}
-            title="Dismiss this response"
-          >
-            ✕ Dismiss
-          </button>
+          {!roundDecided && (
+            <button 
+              className="actionButton crownButton" 
+              onClick={handleSelectWinner}
+              title="Pick this as winner"
+            >
+              👑 Winner
+            </button>
+          )}
+          {onRemove && (
+            <button 
+              className="actionButton crossButton" 
+              onClick={() => onRemove(modelIdentifier)}
+              title="Dismiss this model from the arena"
+            >
+              ✕ Dismiss
+            </button>
+          )}
         </div>
       )}
     </div>
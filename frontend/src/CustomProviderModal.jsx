@@ -0,0 +1,147 @@
+import { useState } from 'react'
+import './CustomProviderModal.css'
+import defaultIcon from './customProvider.svg'
+import { discoverModels, normalizeBaseUrl, toCustomProviderId, isValidCustomProviderId } from './customProviders'
+
+// Uploaded icons are kept as data URLs in localStorage, so keep them small
+const MAX_ICON_BYTES = 256 * 1024
+
+// icons: built-in provider icons to pick from; takenIds: provider ids already in use.
+// onSave(provider, apiKey) stores the key, if one was given, in the key vault.
+function CustomProviderModal({ icons = [], takenIds = [], onSave, onClose }) {
+  const [name, setName] = useState('')
+  const [baseUrl, setBaseUrl] = useState('')
+  const [apiKey, setApiKey] = useState('')
+  const [icon, setIcon] = useState(defaultIcon)
+  const [discovered, setDiscovered] = useState(null) // Model ids, null until discovery ran
+  const [discovering, setDiscovering] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [message, setMessage] = useState('')
+
+  const providerId = toCustomProviderId(name)
+  const isValidUrl = /^https?:\/\/.+/i.test(baseUrl.trim())
+
+  const handleIconUpload = (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+    if (file.size > MAX_ICON_BYTES) {
+      setMessage('❌ Icons must be under 256 KB')
+      return
+    }
+
+    const reader = new FileReader()
+    reader.onload = () => setIcon(reader.result)
+    reader.readAsDataURL(file)
+  }
+
+  const handleDiscover = async () => {
+    setDiscovering(true)
+    setMessage('')
+    try {
+      const models = await discoverModels({ baseUrl: normalizeBaseUrl(baseUrl), apiKey: apiKey.trim() || undefined })
+      setDiscovered(models)
+    } catch (err) {
+      setDiscovered(null)
+      setMessage(`❌ ${err.message}`)
+    }
+    setDiscovering(false)
+  }
+
+  const handleSave = async () => {
+    if (!isValidCustomProviderId(providerId)) {
+      setMessage('❌ Please enter a display name')
+      return
+    }
+    if (takenIds.includes(providerId)) {
+      setMessage('❌ A provider with this name already exists')
+      return
+    }
+    if (!isValidUrl) {
+      setMessage('❌ The base URL must start with http:// or https://')
+      return
+    }
+
+    setSaving(true)
+    try {
+      await onSave({ id: providerId, name: name.trim(), baseUrl: normalizeBaseUrl(baseUrl), icon }, apiKey.trim() || null)
+    } catch (err) {
+      setMessage(`❌ Failed to save the key: ${err.message}`)
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="modalOverlay customProviderOverlay" onClick={onClose}>
+      <div className="customProviderModal" onClick={(e) => e.stopPropagation()}>
+        <h2>Add custom provider</h2>
+        <p className="reviewHint">Any endpoint that speaks the OpenAI API: vLLM, Ollama, LM Studio, a local mock server...</p>
+
+        <label className="customProviderField">
+          <span>Display name</span>
+          <input className="apiKeyInput" value={name} onChange={(e) => setName(e.target.value)} placeholder="Local Ollama" autoComplete='off' />
+        </label>
+        <label className="customProviderField">
+          <span>Base URL</span>
+          <input
+            className="apiKeyInput"
+            value={baseUrl}
+            onChange={(e) => {
+              setBaseUrl(e.target.value)
+              setDiscovered(null)
+            }}
+            placeholder="http://localhost:11434/v1"
+            autoComplete='off'
+          />
+        </label>
+        <label className="customProviderField">
+          <span>API key (optional)</span>
+          <input type="password" className="apiKeyInput" value={apiKey} onChange={(e) => setApiKey(e.target.value)} placeholder="Leave empty for local servers" autoComplete='off' />
+        </label>
+
+        <div className="customProviderField">
+          <span>Icon</span>
+          <div className="customIconPicker">
+            {[defaultIcon, ...icons.map(i => i.path)].map(path => (
+              <img
+                key={path}
+                src={path}
+                alt=""
+                className={`customIconOption ${icon === path ? 'selected' : ''}`}
+                onClick={() => setIcon(path)}
+              />
+            ))}
+            {!icons.some(i => i.path === icon) && icon !== defaultIcon && (
+              <img src={icon} alt="" className="customIconOption selected" />
+            )}
+            <label className="compareToggle customIconUpload">
+              Upload...
+              <input type="file" accept="image/*" onChange={handleIconUpload} hidden />
+            </label>
+          </div>
+        </div>
+
+        <div className="customProviderDiscovery">
+          <button className="closeModalButton" onClick={handleDiscover} disabled={!isValidUrl || discovering}>
+            {discovering ? 'Discovering...' : '🔍 Discover models'}
+          </button>
+          {discovered && (
+            <span className="reviewHint">
+              {discovered.length === 0 ? 'No models reported' : `${discovered.length} model(s): ${discovered.slice(0, 5).join(', ')}${discovered.length > 5 ? '...' : ''}`}
+            </span>
+          )}
+        </div>
+
+        {message && <p className={`saveMessage ${message.includes('✓') ? 'success' : 'error'}`}>{message}</p>}
+
+        <div className="customProviderButtons">
+          <button className="saveKeyButton" onClick={handleSave} disabled={saving || !name.trim() || !baseUrl.trim()}>
+            {saving ? 'Saving...' : 'Save provider'}
+          </button>
+          <button className="closeModalButton" onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CustomProviderModal
@@ -0,0 +1,66 @@
+import { useMemo, useState } from 'react'
+import { diffWords, diffLines } from 'diff'
+import './DiffView.css'
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length
+
+// Share of words the two texts have in common (Dice coefficient over the word diff)
+const getSimilarity = (leftText, rightText) => {
+  let same = 0
+  let changed = 0
+  for (const part of diffWords(leftText, rightText)) {
+    if (part.added || part.removed) changed += countWords(part.value)
+    else same += countWords(part.value)
+  }
+  return same + changed === 0 ? 1 : (2 * same) / (2 * same + changed)
+}
+
+// left / right: { label, text }
+function DiffView({ left, right, onClose }) {
+  const [mode, setMode] = useState('word') // 'word' | 'line'
+
+  const parts = useMemo(
+    () => (mode === 'word' ? diffWords : diffLines)(left.text || '', right.text || ''),
+    [left.text, right.text, mode]
+  )
+  const similarity = useMemo(() => getSimilarity(left.text || '', right.text || ''), [left.text, right.text])
+
+  return (
+    <div className="modalOverlay diffOverlay" onClick={onClose}>
+      <div className="diffPanel" onClick={(e) => e.stopPropagation()}>
+        <div className="diffHeader">
+          <h2>⇄ Compare replies</h2>
+          <span className="similarityScore" title="Share of words both replies have in common">
+            {(similarity * 100).toFixed(1)}% similar
+          </span>
+          <div className="segmentedControl">
+            <button className={mode === 'word' ? 'selected' : ''} onClick={() => setMode('word')}>Words</button>
+            <button className={mode === 'line' ? 'selected' : ''} onClick={() => setMode('line')}>Lines</button>
+          </div>
+          <button className="historyCloseButton" onClick={onClose} title="Close compare">✕</button>
+        </div>
+
+        <div className="diffColumns">
+          <div className="diffColumn">
+            <h3>{left.label}</h3>
+            <div className="diffText">
+              {parts.filter(p => !p.added).map((part, i) => (
+                <span key={i} className={part.removed ? 'diffRemoved' : ''}>{part.value}</span>
+              ))}
+            </div>
+          </div>
+          <div className="diffColumn">
+            <h3>{right.label}</h3>
+            <div className="diffText">
+              {parts.filter(p => !p.removed).map((part, i) => (
+                <span key={i} className={part.added ? 'diffAdded' : ''}>{part.value}</span>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default DiffView
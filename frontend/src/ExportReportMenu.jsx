@@ -0,0 +1,25 @@
+import { REPORT_FORMATS, toReport } from './report'
+import { downloadFile } from './download'
+
+// "⤓ Export" picker: downloads getRounds() as a report in the chosen format
+function ExportReportMenu({ getRounds, fileName = 'arena-report', disabled = false, title = 'Export as a shareable report' }) {
+  const handleExport = (formatId) => {
+    const format = REPORT_FORMATS.find(f => f.id === formatId)
+    downloadFile(`${fileName}.${format.extension}`, toReport(format.id, getRounds()), format.mimeType)
+  }
+
+  return (
+    <label className="reportExport" title={title}>
+      <select
+        value=""
+        onChange={(e) => handleExport(e.target.value)}
+        disabled={disabled}
+      >
+        <option value="" disabled>⤓ Export...</option>
+        {REPORT_FORMATS.map(format => <option key={format.id} value={format.id}>{format.label}</option>)}
+      </select>
+    </label>
+  )
+}
+
+export default ExportReportMenu
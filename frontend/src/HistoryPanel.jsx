@@ -0,0 +1,306 @@
+import { useState, useEffect, useMemo } from 'react'
+import './HistoryPanel.css'
+import { parseModelIdentifier } from './modelIdentifier'
+import MessageContent from './MessageContent'
+import DiffView from './DiffView'
+import ScoreBadges from './ScoreBadges'
+import StructuredReply from './StructuredReply'
+import ExportReportMenu from './ExportReportMenu'
+import { fromHistoryRound, parseReport } from './report'
+
+// Rows of the same prompt sent within this window belong to the same round
+const ROUND_WINDOW_MS = 5 * 60 * 1000
+
+// Loose rows (single chats, older rounds) and rounds saved whole by the round coordinator
+const fetchChatHistory = async () => {
+  try {
+    const response = await fetch('/api/history', { credentials: 'include' })
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+
+    const data = await response.json()
+    return { history: data.history || [], rounds: data.rounds || [] }
+  } catch (error) {
+    console.error('Error fetching history:', error)
+    return { history: [], rounds: [] }
+  }
+}
+
+// A saved round in the shape groupIntoRounds produces
+const fromSavedRound = (round) => ({
+  id: round.roundId,
+  prompt: round.prompt,
+  expected: round.expected,
+  responseSchema: round.responseSchema,
+  attachments: round.attachments || [],
+  winner: round.winner,
+  judgeVerdict: round.judgeVerdict,
+  startedAt: new Date(round.startedAt).getTime(),
+  entries: (round.entries || []).map(entry => ({
+    ...entry,
+    ...parseModelIdentifier(entry.modelIdentifier),
+    id: `${round.roundId}:${entry.modelIdentifier}`,
+    createdAt: round.startedAt,
+    responseTimeMs: entry.totalMs
+  }))
+})
+
+// Groups history rows by prompt into rounds, newest round first
+const groupIntoRounds = (rows) => {
+  const rounds = []
+  const sorted = [...rows].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+
+  for (const row of sorted) {
+    const createdAt = new Date(row.createdAt).getTime()
+    const round = rounds.find(r =>
+      r.prompt === row.prompt &&
+      createdAt - r.lastAt <= ROUND_WINDOW_MS &&
+      !r.entries.some(e => e.modelIdentifier === row.modelIdentifier)
+    )
+
+    const entry = { ...row, ...parseModelIdentifier(row.modelIdentifier) }
+    if (round) {
+      round.entries.push(entry)
+      round.lastAt = createdAt
+    } else {
+      rounds.push({ id: row.id, prompt: row.prompt, startedAt: createdAt, lastAt: createdAt, entries: [entry] })
+    }
+  }
+
+  return rounds.reverse()
+}
+
+// onOpenReport receives an imported JSON report, for the read-only report view
+function HistoryPanel({ icons = [], onReopenRound, onOpenReport, onClose }) {
+  const [rows, setRows] = useState([])
+  const [savedRounds, setSavedRounds] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [search, setSearch] = useState('')
+  const [providerFilter, setProviderFilter] = useState([]) // Empty means every provider
+  const [compareEntries, setCompareEntries] = useState([]) // Up to two entries picked for a diff
+  const [selectedIds, setSelectedIds] = useState([]) // Rounds picked for a report
+  const [lastSelectedId, setLastSelectedId] = useState(null) // Anchor of a shift-click range
+  const [importError, setImportError] = useState('')
+
+  useEffect(() => {
+    fetchChatHistory().then(({ history, rounds }) => {
+      setRows(history)
+      setSavedRounds(rounds)
+      setLoading(false)
+    })
+  }, [])
+
+  const rounds = useMemo(() => [...savedRounds.map(fromSavedRound), ...groupIntoRounds(rows)]
+    .sort((a, b) => b.startedAt - a.startedAt), [rows, savedRounds])
+  const providers = useMemo(() => [...new Set(rounds.flatMap(r => r.entries.map(e => e.provider)))].sort(), [rounds])
+
+  const visibleRounds = useMemo(() => {
+    const query = search.trim().toLowerCase()
+
+    return rounds
+      .map(round => ({
+        ...round,
+        entries: providerFilter.length === 0
+          ? round.entries
+          : round.entries.filter(e => providerFilter.includes(e.provider))
+      }))
+      .filter(round => round.entries.length > 0)
+      .filter(round => !query ||
+        round.prompt.toLowerCase().includes(query) ||
+        round.entries.some(e => (e.response || '').toLowerCase().includes(query) || e.model.toLowerCase().includes(query))
+      )
+  }, [rounds, search, providerFilter])
+
+  const toggleProvider = (provider) => {
+    setProviderFilter(prev => prev.includes(provider)
+      ? prev.filter(p => p !== provider)
+      : [...prev, provider])
+  }
+
+  const toggleCompare = (entry) => {
+    setCompareEntries(prev => prev.some(e => e.id === entry.id)
+      ? prev.filter(e => e.id !== entry.id)
+      : [...prev, entry].slice(-2))
+  }
+
+  // Shift-click selects every shown round between the last one clicked and this one
+  const toggleSelected = (roundId, extendRange) => {
+    const ids = visibleRounds.map(r => r.id)
+    const from = ids.indexOf(lastSelectedId)
+    const to = ids.indexOf(roundId)
+    if (extendRange && from !== -1) {
+      const range = ids.slice(Math.min(from, to), Math.max(from, to) + 1)
+      setSelectedIds(prev => [...new Set([...prev, ...range])])
+    } else {
+      setSelectedIds(prev => prev.includes(roundId) ? prev.filter(id => id !== roundId) : [...prev, roundId])
+    }
+    setLastSelectedId(roundId)
+  }
+
+  // The selected rounds, or every round shown when none is selected
+  const exportRounds = selectedIds.length > 0
+    ? rounds.filter(r => selectedIds.includes(r.id))
+    : visibleRounds
+
+  const handleImportReport = async (file) => {
+    setImportError('')
+    try {
+      onOpenReport(parseReport(await file.text()))
+    } catch (err) {
+      setImportError(`❌ ${file.name}: ${err.message}`)
+    }
+  }
+
+  // Diff labels include the date since entries may come from different rounds
+  const toDiffSide = (entry) => ({
+    label: `${entry.model} · ${new Date(entry.createdAt).toLocaleString()}`,
+    text: entry.response
+  })
+
+  const getIcon = (provider) => icons.find(i => i.name === provider)?.path
+  // Providers of a round's models this browser no longer has (e.g. a deleted custom endpoint)
+  const getRemovedProviders = (round) => [...new Set(round.entries.map(e => e.provider))]
+    .filter(provider => !icons.some(icon => icon.name === provider))
+
+  return (
+    <>
+      <div className="modalOverlay" onClick={onClose}>
+        <div className="historyPanel" onClick={(e) => e.stopPropagation()}>
+          <div className="historyHeader">
+            <h2>🕘 History</h2>
+            <input
+              className="historySearch"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search prompts and replies..."
+              autoComplete='off'
+            />
+            {selectedIds.length > 0 && (
+              <button className="compareToggle selected" onClick={() => setSelectedIds([])} title="Clear the selection">
+                ✓ {selectedIds.length} selected
+              </button>
+            )}
+            <ExportReportMenu
+              getRounds={() => exportRounds.map(fromHistoryRound)}
+              disabled={exportRounds.length === 0}
+              title={selectedIds.length > 0
+                ? `Export the ${selectedIds.length} selected round(s)`
+                : `Export the ${visibleRounds.length} round(s) shown (tick rounds, shift-click for a range, to pick)`}
+            />
+            <label className="compareToggle" title="Open an exported JSON report, read-only">
+              ⤒ Import
+              <input
+                type="file"
+                accept=".json,application/json"
+                onChange={(e) => {
+                  if (e.target.files[0]) handleImportReport(e.target.files[0])
+                  e.target.value = ''
+                }}
+                hidden
+              />
+            </label>
+            <button className="historyCloseButton" onClick={onClose} title="Close history">✕</button>
+          </div>
+
+          {importError && <p className="historyError">{importError}</p>}
+
+          {providers.length > 0 && (
+            <div className="historyFilters">
+              {providers.map(provider => (
+                <button
+                  key={provider}
+                  className={`providerChip ${providerFilter.includes(provider) ? 'selected' : ''}`}
+                  onClick={() => toggleProvider(provider)}
+                >
+                  {getIcon(provider) && <img src={getIcon(provider)} alt="" />}
+                  {provider}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="historyRounds">
+            {loading ? (
+              <p className="loadingText">Loading history...</p>
+            ) : visibleRounds.length === 0 ? (
+              <p className="emptyText">{rounds.length === 0 ? 'No past comparisons yet.' : 'Nothing matches your search.'}</p>
+            ) : (
+              visibleRounds.map(round => (
+                <div key={round.id} className="historyRound">
+                  <div className="historyRoundHeader">
+                    <input
+                      type="checkbox"
+                      className="historySelect"
+                      checked={selectedIds.includes(round.id)}
+                      onChange={(e) => toggleSelected(round.id, e.nativeEvent.shiftKey)}
+                      title="Select for a report (shift-click for a range)"
+                    />
+                    <div className="historyRoundText">
+                      <p className="historyPrompt">{round.prompt}</p>
+                      {round.expected && <p className="historyExpected">🎯 Expected: {round.expected}</p>}
+                      <span className="historyDate">
+                        {new Date(round.startedAt).toLocaleString()} · {round.entries.length} model(s)
+                        {getRemovedProviders(round).length > 0 && ` · ⚠️ Provider removed: ${getRemovedProviders(round).join(', ')}`}
+                      </span>
+                    </div>
+                    <button
+                      className="reopenButton"
+                      onClick={() => onReopenRound(round)}
+                      disabled={round.entries.every(e => getRemovedProviders(round).includes(e.provider))}
+                      title={getRemovedProviders(round).length > 0
+                        ? 'Load this round into the arena, without the models of removed providers'
+                        : 'Load this round into the arena'}
+                    >
+                      ↻ Re-open in arena
+                    </button>
+                  </div>
+
+                  <div className="historyGrid">
+                    {round.entries.map(entry => (
+                      <div key={entry.id} className="historyColumn">
+                        <div className="historyColumnHeader">
+                          <span>{round.winner === entry.modelIdentifier && '👑 '}{entry.model}</span>
+                          <button
+                            className={`compareToggle ${compareEntries.some(e => e.id === entry.id) ? 'selected' : ''}`}
+                            onClick={() => toggleCompare(entry)}
+                            title="Pick this reply for a side-by-side diff"
+                          >
+                            {compareEntries.some(e => e.id === entry.id) ? '✓ Picked' : '⇄ Pick'}
+                          </button>
+                          {getIcon(entry.provider) && <img src={getIcon(entry.provider)} alt={entry.provider} />}
+                        </div>
+                        <ScoreBadges scores={entry.scores} />
+                        {entry.error ? (
+                          <p className="historyError">⚠️ {entry.error}</p>
+                        ) : (
+                          <div className="message botMessage historyResponse">
+                            {round.responseSchema
+                              ? <StructuredReply content={entry.response || ''} schema={round.responseSchema} />
+                              : <MessageContent content={entry.response || ''} />}
+                          </div>
+                        )}
+                        {entry.responseTimeMs != null && (
+                          <span className="historyTiming">⏱ {(entry.responseTimeMs / 1000).toFixed(1)}s</span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Rendered outside the overlay so closing the diff doesn't close history */}
+      {compareEntries.length === 2 && (
+        <DiffView
+          left={toDiffSide(compareEntries[0])}
+          right={toDiffSide(compareEntries[1])}
+          onClose={() => setCompareEntries([])}
+        />
+      )}
+    </>
+  )
+}
+
+export default HistoryPanel
@@ -0,0 +1,77 @@
+import './JudgePanel.css'
+import { DEFAULT_RUBRIC, getJudgeLabel } from './judge'
+
+// models: the grid's models, any of which can judge; settings: see judge.js.
+// onJudgeNow grades the current round with these settings, null when there is nothing to grade.
+function JudgePanel({ models = [], settings, onChange, onJudgeNow = null, onClose }) {
+  // One option per provider/model, whatever instances and params the grid has
+  const candidates = [...new Map(models.map(m => [getJudgeLabel(m), m])).values()]
+  const judgeKey = settings.provider ? getJudgeLabel(settings) : ''
+  const judgeMissing = judgeKey && !candidates.some(m => getJudgeLabel(m) === judgeKey)
+
+  const handleJudgeSelect = (key) => {
+    const model = candidates.find(m => getJudgeLabel(m) === key)
+    onChange(model
+      ? { ...settings, provider: model.provider, name: model.name, baseUrl: model.baseUrl }
+      : { ...settings, provider: null, name: null, baseUrl: undefined })
+  }
+
+  return (
+    <div className="modalOverlay" onClick={onClose}>
+      <div className="judgeModal" onClick={(e) => e.stopPropagation()}>
+        <div className="judgeHeader">
+          <h2>⚖️ Judge</h2>
+          <button className="historyCloseButton" onClick={onClose} title="Close judge settings">✕</button>
+        </div>
+        <p className="reviewHint">
+          The judge gets the prompt and the replies as Reply A, B... in a random order, never the model names,
+          and ranks them with the rubric below. Its verdict shows next to your 👑 and is saved with your pick.
+        </p>
+
+        <label className="judgeField">
+          <span>Judge model</span>
+          <select className="judgeSelect" value={judgeKey} onChange={(e) => handleJudgeSelect(e.target.value)}>
+            <option value="">None</option>
+            {judgeMissing && <option value={judgeKey}>{judgeKey} (not on the grid)</option>}
+            {candidates.map(model => (
+              <option key={getJudgeLabel(model)} value={getJudgeLabel(model)}>{getJudgeLabel(model)}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="judgeToggle">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => onChange({ ...settings, enabled: e.target.checked })}
+            disabled={!settings.provider}
+          />
+          Grade every round automatically once all replies are in
+        </label>
+
+        <label className="judgeField">
+          <span>Rubric</span>
+          <textarea
+            className="judgeRubric"
+            value={settings.rubric}
+            onChange={(e) => onChange({ ...settings, rubric: e.target.value })}
+            placeholder={DEFAULT_RUBRIC}
+          />
+        </label>
+
+        <div className="judgeButtons">
+          <button className="closeModalButton" onClick={() => onChange({ ...settings, rubric: DEFAULT_RUBRIC })} disabled={settings.rubric === DEFAULT_RUBRIC}>
+            Reset rubric
+          </button>
+          {onJudgeNow && (
+            <button className="saveKeyButton" onClick={onJudgeNow} disabled={!settings.provider}>
+              ⚖️ Grade this round now
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default JudgePanel
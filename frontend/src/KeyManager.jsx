@@ -0,0 +1,197 @@
+import { useState } from 'react'
+import './KeyManager.css'
+import { testApiKey } from './keysApi'
+import { listVaultKeys, AUTO_LOCK_OPTIONS } from './keyVault'
+import { ERROR_CATEGORIES } from './chatApi'
+
+// models: the active arena models; apiKeys: the unlocked vault's keys by provider.
+// Vault changes go through App (onSaveKey, onDeleteKey) so the arena's keys stay in sync.
+function KeyManager({
+  icons = [],
+  models = [],
+  apiKeys = {},
+  autoLockMinutes,
+  onSaveKey,
+  onDeleteKey,
+  onAutoLockChange,
+  onLock,
+  onClearAll,
+  onClose
+}) {
+  const [replacing, setReplacing] = useState(null) // Provider whose key is being replaced
+  const [replacementKey, setReplacementKey] = useState('')
+  const [confirmingDelete, setConfirmingDelete] = useState(null)
+  const [busyProvider, setBusyProvider] = useState(null)
+  const [testResults, setTestResults] = useState({}) // provider -> { testing, valid, model, latencyMs, error }
+  const [message, setMessage] = useState('')
+  const [confirmingClear, setConfirmingClear] = useState(false)
+
+  // Re-read on every render: App re-renders this panel whenever a key changes
+  const keys = listVaultKeys()
+
+  const getIcon = (provider) => icons.find(i => i.name === provider)?.path
+  const getLabel = (provider) => icons.find(i => i.name === provider)?.label || provider
+
+  const handleStartReplace = (provider) => {
+    setReplacing(provider)
+    setReplacementKey('')
+    setConfirmingDelete(null)
+  }
+
+  const handleReplace = async (provider) => {
+    if (!replacementKey.trim()) return
+
+    setBusyProvider(provider)
+    try {
+      await onSaveKey(provider, replacementKey.trim())
+    } catch (err) {
+      setMessage(`❌ Failed to replace the ${getLabel(provider)} key: ${err.message}`)
+      return
+    } finally {
+      setBusyProvider(null)
+    }
+
+    setReplacing(null)
+    setReplacementKey('')
+    setTestResults(prev => ({ ...prev, [provider]: undefined }))
+    setMessage(`✓ ${getLabel(provider)} key replaced`)
+  }
+
+  const handleDelete = async (provider) => {
+    if (confirmingDelete !== provider) {
+      setConfirmingDelete(provider)
+      setReplacing(null)
+      return
+    }
+
+    onDeleteKey(provider)
+    setConfirmingDelete(null)
+    setMessage(`✓ ${getLabel(provider)} key deleted`)
+  }
+
+  const handleClearAll = () => {
+    if (!confirmingClear) {
+      setConfirmingClear(true)
+      return
+    }
+    onClearAll()
+  }
+
+  // Tests with a model the user already runs for this provider, if any
+  const handleTest = async (provider) => {
+    setTestResults(prev => ({ ...prev, [provider]: { testing: true } }))
+    const model = models.find(m => m.provider === provider)
+    const result = await testApiKey(provider, apiKeys[provider], model?.name, model?.baseUrl)
+    setTestResults(prev => ({ ...prev, [provider]: result }))
+  }
+
+  const renderTestResult = (provider) => {
+    const result = testResults[provider]
+    if (!result) return null
+    if (result.testing) return <span className="keyTestResult">⏳ Testing...</span>
+    return result.valid ? (
+      <span className="keyTestResult valid">✓ Works with {result.model} ({(result.latencyMs / 1000).toFixed(1)}s)</span>
+    ) : (
+      <span className="keyTestResult invalid" title={result.error}>
+        ✕ {ERROR_CATEGORIES[result.category] && `${ERROR_CATEGORIES[result.category].label}: `}{result.error || 'Key was rejected'}
+      </span>
+    )
+  }
+
+  return (
+    <div className="modalOverlay" onClick={onClose}>
+      <div className="keyManagerModal" onClick={(e) => e.stopPropagation()}>
+        <div className="keyManagerHeader">
+          <h2>🔑 API keys</h2>
+          <button className="historyCloseButton" onClick={onClose} title="Close key manager">✕</button>
+        </div>
+        <p className="reviewHint">Keys are encrypted in this browser's vault with your passphrase and only sent along with requests to the models. Add new providers with the + button.</p>
+
+        <div className="vaultSettings">
+          <label>
+            Lock after
+            <select value={autoLockMinutes} onChange={(e) => onAutoLockChange(Number(e.target.value))}>
+              {AUTO_LOCK_OPTIONS.map(minutes => (
+                <option key={minutes} value={minutes}>{minutes === 0 ? 'never' : `${minutes} min idle`}</option>
+              ))}
+            </select>
+          </label>
+          <button className="compareToggle" onClick={onLock} title="Forget the decrypted keys until the passphrase is entered again">
+            🔒 Lock now
+          </button>
+          <button
+            className={`compareToggle deleteKeyButton ${confirmingClear ? 'confirming' : ''}`}
+            onClick={handleClearAll}
+            title="Erase the vault, the grid, presets and settings stored in this browser"
+          >
+            {confirmingClear ? 'Confirm: erase everything' : '🗑 Clear all data'}
+          </button>
+        </div>
+
+        {keys.length === 0 ? (
+          <p className="emptyText">No API keys stored yet.</p>
+        ) : (
+          <div className="keyList">
+            {keys.map(({ provider, updatedAt }) => {
+              const modelCount = models.filter(m => m.provider === provider).length
+              return (
+                <div key={provider} className="keyRow">
+                  <div className="keyRowMain">
+                    {getIcon(provider) && <img src={getIcon(provider)} alt="" />}
+                    <div className="keyRowInfo">
+                      <span className="keyProvider">{getLabel(provider)}</span>
+                      <span className="historyDate">
+                        {updatedAt ? `Updated ${new Date(updatedAt).toLocaleString()}` : 'Stored'}
+                        {modelCount > 0 && ` · used by ${modelCount} model(s)`}
+                      </span>
+                    </div>
+                    <div className="keyActions">
+                      <button className="compareToggle" onClick={() => handleTest(provider)} disabled={testResults[provider]?.testing}>
+                        Test key
+                      </button>
+                      <button className="compareToggle" onClick={() => handleStartReplace(provider)} disabled={busyProvider === provider}>
+                        Replace
+                      </button>
+                      <button
+                        className={`compareToggle deleteKeyButton ${confirmingDelete === provider ? 'confirming' : ''}`}
+                        onClick={() => handleDelete(provider)}
+                        disabled={busyProvider === provider}
+                      >
+                        {confirmingDelete === provider ? 'Confirm delete' : 'Delete'}
+                      </button>
+                    </div>
+                  </div>
+
+                  {renderTestResult(provider)}
+
+                  {replacing === provider && (
+                    <div className="keyReplaceRow">
+                      <input
+                        type="password"
+                        className="apiKeyInput"
+                        value={replacementKey}
+                        onChange={(e) => setReplacementKey(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && handleReplace(provider)}
+                        placeholder={`New ${getLabel(provider)} API key`}
+                        autoComplete='off'
+                        autoFocus
+                      />
+                      <button className="saveKeyButton" onClick={() => handleReplace(provider)} disabled={!replacementKey.trim() || busyProvider === provider}>
+                        Save
+                      </button>
+                      <button className="closeModalButton" onClick={() => setReplacing(null)}>Cancel</button>
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+
+        {message && <p className={`saveMessage ${message.includes('✓') ? 'success' : 'error'}`}>{message}</p>}
+      </div>
+    </div>
+  )
+}
+
+export default KeyManager
@@ -0,0 +1,357 @@
+import { useState, useEffect, useMemo } from 'react'
+import './Leaderboard.css'
+import { parseModelIdentifier } from './modelIdentifier'
+import { computeRatings, toMatches } from './ratings'
+import { summarizeAgreement } from './judge'
+
+// Number of days shown in each trend sparkline
+const TREND_DAYS = 14
+
+// mode: 'blind' | 'sighted' | null for every vote
+const fetchStats = async (mode) => {
+  try {
+    const query = mode ? `?mode=${mode}` : ''
+    const response = await fetch(`/api/stats${query}`, { credentials: 'include' })
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+
+    const data = await response.json()
+    return { leaderboard: data.leaderboard || [], scores: data.scores || [], totalSelections: data.totalSelections || 0 }
+  } catch (error) {
+    console.error('Error fetching stats:', error)
+    return { leaderboard: [], scores: [], totalSelections: 0 }
+  }
+}
+
+const fetchWinners = async () => {
+  try {
+    const response = await fetch('/api/winners', { credentials: 'include' })
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+
+    const data = await response.json()
+    return data.winners || []
+  } catch (error) {
+    console.error('Error fetching winners:', error)
+    return []
+  }
+}
+
+// Same "provider/model" key the backend uses in /api/stats
+const toModelKey = (modelIdentifier) => {
+  const { provider, model } = parseModelIdentifier(modelIdentifier)
+  return `${provider}/${model}`
+}
+
+const startOfDay = (date, daysAgo = 0) => {
+  const day = new Date(date)
+  day.setHours(0, 0, 0, 0)
+  day.setDate(day.getDate() - daysAgo)
+  return day.getTime()
+}
+
+function Leaderboard({ icons = [], onClose }) {
+  const [stats, setStats] = useState({ leaderboard: [], scores: [], totalSelections: 0 })
+  const [winners, setWinners] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [groupBy, setGroupBy] = useState('model') // 'model' | 'provider'
+  const [expandedKey, setExpandedKey] = useState(null)
+  const [voteMode, setVoteMode] = useState(null) // null | 'blind' | 'sighted'
+  const [view, setView] = useState('ratings') // 'ratings' | 'judges': human-vs-judge agreement
+
+  useEffect(() => {
+    let ignore = false // Drop responses that arrive after the filter changed again
+    Promise.all([fetchStats(voteMode), fetchWinners()]).then(([statsData, winnersData]) => {
+      if (ignore) return
+      setStats(statsData)
+      setWinners(voteMode ? winnersData.filter(w => w.blind === (voteMode === 'blind')) : winnersData)
+      setLoading(false)
+    })
+    return () => { ignore = true }
+  }, [voteMode])
+
+  const rows = useMemo(() => {
+    const groupKey = (modelIdentifier) => {
+      const modelKey = toModelKey(modelIdentifier)
+      return groupBy === 'provider' ? modelKey.split('/')[0] : modelKey
+    }
+
+    const wins = new Map()
+    for (const entry of stats.leaderboard) {
+      const key = groupBy === 'provider' ? entry.model.split('/')[0] : entry.model
+      wins.set(key, (wins.get(key) || 0) + entry.wins)
+    }
+
+    // Replies scored against an expected answer; overlap is kept as a sum to average after grouping
+    const scores = new Map()
+    for (const entry of stats.scores) {
+      const key = groupBy === 'provider' ? entry.model.split('/')[0] : entry.model
+      const total = scores.get(key) || { scored: 0, matched: 0, overlapSum: 0, overlapScored: 0 }
+      scores.set(key, {
+        scored: total.scored + entry.scored,
+        matched: total.matched + entry.matched,
+        overlapSum: total.overlapSum + (entry.meanOverlap ?? 0) * entry.overlapScored,
+        overlapScored: total.overlapScored + entry.overlapScored
+      })
+    }
+
+    // Rounds each model took part in, whether it won or not
+    const appearances = new Map()
+    for (const w of winners) {
+      for (const key of new Set([w.modelIdentifier, ...(w.competitors || [])].map(groupKey))) {
+        appearances.set(key, (appearances.get(key) || 0) + 1)
+      }
+    }
+
+    const ratings = computeRatings(toMatches(winners, groupKey))
+    const keys = new Set([...wins.keys(), ...appearances.keys(), ...ratings.keys(), ...scores.keys()])
+
+    const now = new Date()
+    return [...keys]
+      .map(key => {
+        const picks = winners.filter(w => groupKey(w.modelIdentifier) === key)
+
+        // Wins per day for the last TREND_DAYS days, oldest first
+        const trend = Array.from({ length: TREND_DAYS }, (_, i) => {
+          const day = startOfDay(now, TREND_DAYS - 1 - i)
+          return picks.filter(w => startOfDay(w.selectedAt) === day).length
+        })
+
+        return {
+          key,
+          provider: key.split('/')[0],
+          wins: wins.get(key) || 0,
+          winRate: appearances.get(key) ? picks.length / appearances.get(key) : 0,
+          rating: ratings.get(key) || null,
+          scores: scores.get(key) || null,
+          trend,
+          picks: [...picks].sort((a, b) => new Date(b.selectedAt) - new Date(a.selectedAt))
+        }
+      })
+      // Rated models first by rating, then everything else by wins
+      .sort((a, b) => (b.rating?.rating ?? -Infinity) - (a.rating?.rating ?? -Infinity) || b.wins - a.wins)
+  }, [stats, winners, groupBy])
+
+  const agreement = useMemo(() => summarizeAgreement(winners), [winners])
+  const maxTrend = Math.max(1, ...rows.flatMap(r => r.trend))
+  const getIcon = (provider) => icons.find(i => i.name === provider)?.path
+
+  return (
+    <div className="modalOverlay" onClick={onClose}>
+      <div className="leaderboardPanel" onClick={(e) => e.stopPropagation()}>
+        <div className="leaderboardHeader">
+          <h2>🏆 Leaderboard</h2>
+          <span className="leaderboardTotal">{stats.totalSelections} winner selection(s)</span>
+          <div className="segmentedControl" title="Which votes to count">
+            <button className={voteMode === null ? 'selected' : ''} onClick={() => setVoteMode(null)}>All votes</button>
+            <button className={voteMode === 'blind' ? 'selected' : ''} onClick={() => setVoteMode('blind')}>🙈 Blind</button>
+            <button className={voteMode === 'sighted' ? 'selected' : ''} onClick={() => setVoteMode('sighted')}>👁 Sighted</button>
+          </div>
+          <div className="segmentedControl">
+            <button className={view === 'ratings' ? 'selected' : ''} onClick={() => setView('ratings')}>Ratings</button>
+            <button className={view === 'judges' ? 'selected' : ''} onClick={() => setView('judges')} title="How often the LLM judge agrees with your 👑">
+              ⚖️ Judges
+            </button>
+          </div>
+          {view === 'ratings' && (
+            <div className="segmentedControl">
+              <button className={groupBy === 'model' ? 'selected' : ''} onClick={() => setGroupBy('model')}>Per model</button>
+              <button className={groupBy === 'provider' ? 'selected' : ''} onClick={() => setGroupBy('provider')}>Per provider</button>
+            </div>
+          )}
+          <button className="historyCloseButton" onClick={onClose} title="Close leaderboard">✕</button>
+        </div>
+
+        <div className="leaderboardBody">
+          {loading ? (
+            <p className="loadingText">Loading leaderboard...</p>
+          ) : view === 'judges' ? (
+            <JudgeAgreement agreement={agreement} />
+          ) : rows.length === 0 ? (
+            <p className="emptyText">No winners picked yet. Hit 👑 Winner on a reply to get started.</p>
+          ) : (
+            <table className="leaderboardTable">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>{groupBy === 'provider' ? 'Provider' : 'Model'}</th>
+                  <th title="Bradley-Terry rating on the Elo scale with a 95% confidence interval, from your pairwise votes">Rating</th>
+                  <th>Wins</th>
+                  <th title="Your wins divided by the rounds this model was on the grid">Win rate</th>
+                  <th title="Replies matching the expected answer, in rounds that had one">🎯 Accuracy</th>
+                  <th title={`Your wins per day, last ${TREND_DAYS} days`}>Trend</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, index) => (
+                  <LeaderboardRow
+                    key={row.key}
+                    row={row}
+                    rank={index + 1}
+                    icon={getIcon(row.provider)}
+                    maxTrend={maxTrend}
+                    isExpanded={expandedKey === row.key}
+                    onToggle={() => setExpandedKey(expandedKey === row.key ? null : row.key)}
+                  />
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function LeaderboardRow({ row, rank, icon, maxTrend, isExpanded, onToggle }) {
+  return (
+    <>
+      <tr className={`leaderboardRow ${isExpanded ? 'expanded' : ''}`} onClick={onToggle} title="Show winning replies">
+        <td>{rank === 1 ? '👑' : rank}</td>
+        <td className="leaderboardModel">
+          {icon && <img src={icon} alt="" />}
+          {row.key}
+        </td>
+        <td>
+          {row.rating ? (
+            <>
+              <span className="ratingValue">{Math.round(row.rating.rating)}</span>
+              <span className="ratingInterval" title={`${row.rating.games} pairwise comparison(s)`}>
+                {' '}+{Math.round(row.rating.high - row.rating.rating)} / -{Math.round(row.rating.rating - row.rating.low)}
+              </span>
+            </>
+          ) : (
+            <span className="ratingInterval" title="Needs a vote with other models on the grid">unrated</span>
+          )}
+        </td>
+        <td>{row.wins}</td>
+        <td>
+          <div className="winRateBar">
+            <div style={{ width: `${(row.winRate * 100).toFixed(1)}%` }} />
+          </div>
+          <span className="winRateText">{(row.winRate * 100).toFixed(1)}%</span>
+        </td>
+        <td>
+          {row.scores ? (
+            <span
+              className="winRateText"
+              title={`${row.scores.matched}/${row.scores.scored} matched${row.scores.overlapScored ? ` · mean token F1 ${(row.scores.overlapSum / row.scores.overlapScored).toFixed(2)}` : ''}`}
+            >
+              {((row.scores.matched / row.scores.scored) * 100).toFixed(1)}%
+            </span>
+          ) : (
+            <span className="ratingInterval" title="No reply scored against an expected answer yet">—</span>
+          )}
+        </td>
+        <td>
+          <div className="trendSparkline">
+            {row.trend.map((count, i) => (
+              <div key={i} style={{ height: `${(count / maxTrend) * 100}%` }} title={`${count} win(s)`} />
+            ))}
+          </div>
+        </td>
+      </tr>
+      {isExpanded && (
+        <tr className="drillDownRow">
+          <td colSpan={7}>
+            {row.picks.length === 0 ? (
+              <p className="emptyText">No winning replies from this session.</p>
+            ) : (
+              row.picks.map(pick => (
+                <div key={pick.id} className="drillDownItem">
+                  <div className="drillDownMeta">
+                    <span>{toModelKey(pick.modelIdentifier)}{pick.blind && ' · 🙈 blind vote'}</span>
+                    <span>{new Date(pick.selectedAt).toLocaleString()}</span>
+                  </div>
+                  <div className="message userMessage">{pick.prompt}</div>
+                  <div className="message botMessage">{pick.response}</div>
+                  {pick.competitors?.length > 0 && (
+                    <span className="drillDownCompetitors">
+                      Beat: {pick.competitors.map(toModelKey).join(', ')}
+                    </span>
+                  )}
+                </div>
+              ))
+            )}
+          </td>
+        </tr>
+      )}
+    </>
+  )
+}
+
+// Human-vs-judge agreement: one row per judge model, expanding to the picks it disagreed with
+function JudgeAgreement({ agreement }) {
+  const [expandedJudge, setExpandedJudge] = useState(null)
+
+  if (agreement.length === 0) {
+    return <p className="emptyText">No judged picks yet. Choose a judge with ⚖️ and pick a 👑 after its verdict.</p>
+  }
+
+  return (
+    <table className="leaderboardTable">
+      <thead>
+        <tr>
+          <th>Judge</th>
+          <th title="Your 👑 picks the judge also ranked">Picks</th>
+          <th title="The judge's #1 is your 👑">Agreement</th>
+          <th title="Your 👑 is in the judge's top two">Top 2</th>
+          <th title="Average place the judge gave your 👑, 1 is best">Avg. rank of your pick</th>
+        </tr>
+      </thead>
+      <tbody>
+        {agreement.map(stats => (
+          <JudgeAgreementRow
+            key={stats.judge}
+            stats={stats}
+            isExpanded={expandedJudge === stats.judge}
+            onToggle={() => setExpandedJudge(expandedJudge === stats.judge ? null : stats.judge)}
+          />
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+function JudgeAgreementRow({ stats, isExpanded, onToggle }) {
+  const rate = stats.agreed / stats.rounds
+
+  return (
+    <>
+      <tr className={`leaderboardRow ${isExpanded ? 'expanded' : ''}`} onClick={onToggle} title="Show the picks the judge disagreed with">
+        <td className="leaderboardModel">⚖️ {stats.judge}</td>
+        <td>{stats.rounds}</td>
+        <td>
+          <div className="winRateBar">
+            <div style={{ width: `${(rate * 100).toFixed(1)}%` }} />
+          </div>
+          <span className="winRateText">{(rate * 100).toFixed(1)}%</span>
+        </td>
+        <td>{((stats.topTwo / stats.rounds) * 100).toFixed(1)}%</td>
+        <td>{stats.meanRank.toFixed(2)}</td>
+      </tr>
+      {isExpanded && (
+        <tr className="drillDownRow">
+          <td colSpan={5}>
+            {stats.disagreements.length === 0 ? (
+              <p className="emptyText">The judge agreed with every pick.</p>
+            ) : (
+              stats.disagreements.map(pick => (
+                <div key={pick.id} className="drillDownItem">
+                  <div className="drillDownMeta">
+                    <span>
+                      Your 👑 {toModelKey(pick.modelIdentifier)} (judge's #{pick.judgeRank}) · judge's #1 {toModelKey(pick.judgeVerdict.ranking[0])}
+                    </span>
+                    <span>{new Date(pick.selectedAt).toLocaleString()}</span>
+                  </div>
+                  <div className="message userMessage">{pick.prompt}</div>
+                  {pick.judgeVerdict.rationale && <div className="message botMessage">{pick.judgeVerdict.rationale}</div>}
+                </div>
+              ))
+            )}
+          </td>
+        </tr>
+      )}
+    </>
+  )
+}
+
+export default Leaderboard
@@ -0,0 +1,75 @@
+import { useMemo, useState } from 'react'
+import { Marked } from 'marked'
+import { markedHighlight } from 'marked-highlight'
+import markedKatex from 'marked-katex-extension'
+import hljs from 'highlight.js/lib/common'
+import DOMPurify from 'dompurify'
+import 'highlight.js/styles/github-dark.css'
+import 'katex/dist/katex.min.css'
+import './MessageContent.css'
+
+const markdown = new Marked(
+  markedHighlight({
+    emptyLangClass: 'hljs',
+    langPrefix: 'hljs language-',
+    highlight(code, lang) {
+      const language = hljs.getLanguage(lang) ? lang : 'plaintext'
+      return hljs.highlight(code, { language }).value
+    }
+  }),
+  // nonStandard lets "$x$" work without surrounding spaces, as models write it
+  markedKatex({ throwOnError: false, nonStandard: true }),
+  { gfm: true, breaks: true }
+)
+
+// Links from model output always open in a new tab
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A') {
+    node.setAttribute('target', '_blank')
+    node.setAttribute('rel', 'noopener noreferrer')
+  }
+})
+
+const renderMarkdown = (text) => {
+  const html = DOMPurify.sanitize(markdown.parse(text))
+  // Wrap code blocks so each gets its own copy button
+  return html
+    .replace(/<pre>/g, '<div class="codeBlock"><button type="button" class="copyCodeButton">Copy</button><pre>')
+    .replace(/<\/pre>/g, '</pre></div>')
+}
+
+// Renders a bot reply as sanitized markdown with a toggle back to the raw text
+function MessageContent({ content = '' }) {
+  const [showRaw, setShowRaw] = useState(false)
+  const html = useMemo(() => (showRaw ? '' : renderMarkdown(content)), [content, showRaw])
+
+  const handleClick = async (e) => {
+    const button = e.target.closest('.copyCodeButton')
+    if (!button) return
+
+    const code = button.parentElement.querySelector('pre')?.textContent || ''
+    try {
+      await navigator.clipboard.writeText(code)
+      button.textContent = 'Copied!'
+    } catch (err) {
+      console.error('Failed to copy code:', err)
+      button.textContent = 'Copy failed'
+    }
+    setTimeout(() => { button.textContent = 'Copy' }, 1500)
+  }
+
+  return (
+    <>
+      {showRaw ? (
+        <div className="rawContent">{content}</div>
+      ) : (
+        <div className="markdownContent" onClick={handleClick} dangerouslySetInnerHTML={{ __html: html }} />
+      )}
+      <button className="rawToggle" onClick={() => setShowRaw(prev => !prev)} title="Switch between rendered and raw text">
+        {showRaw ? 'Rendered' : 'Raw'}
+      </button>
+    </>
+  )
+}
+
+export default MessageContent
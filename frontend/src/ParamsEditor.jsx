@@ -0,0 +1,48 @@
+import { useState } from 'react'
+import './ParamsEditor.css'
+import { PARAM_FIELDS, cleanParams } from './generationParams'
+import { DEFAULT_TIMEOUT_SECONDS } from './chatApi'
+
+// Edits one instance's generation params; blank fields keep the provider default
+function ParamsEditor({ params = {}, onSave, onClose }) {
+  const [draft, setDraft] = useState(() => ({ ...params }))
+
+  const updateDraft = (key, value) => setDraft(prev => ({ ...prev, [key]: value }))
+
+  return (
+    <div className="paramsEditor">
+      <div className="paramsGrid">
+        {PARAM_FIELDS.map(({ key, label, min, max, step }) => (
+          <label key={key}>
+            <span>{label}</span>
+            <input
+              type="number"
+              min={min}
+              max={max}
+              step={step}
+              value={draft[key] ?? ''}
+              onChange={(e) => updateDraft(key, e.target.value)}
+              placeholder="default"
+            />
+          </label>
+        ))}
+      </div>
+      <label className="paramsSystemPrompt">
+        <span>System prompt</span>
+        <textarea
+          value={draft.systemPrompt ?? ''}
+          onChange={(e) => updateDraft('systemPrompt', e.target.value)}
+          placeholder="e.g. You are a terse senior engineer."
+        />
+      </label>
+      <p className="paramsHint">Seed is ignored by providers without seed support (Claude, Gemini). The timeout defaults to {DEFAULT_TIMEOUT_SECONDS} s without a reply.</p>
+      <div className="paramsButtons">
+        <button className="compareToggle" onClick={() => setDraft({})}>Reset</button>
+        <button className="compareToggle" onClick={onClose}>Cancel</button>
+        <button className="compareToggle selected" onClick={() => onSave(cleanParams(draft))}>Apply</button>
+      </div>
+    </div>
+  )
+}
+
+export default ParamsEditor
@@ -0,0 +1,126 @@
+import { useState } from 'react'
+import './PresetPanel.css'
+import { toPresetFile, parsePresetFile } from './presets'
+import { describeParams } from './generationParams'
+import { downloadFile } from './download'
+
+// models: the current lineup; onImportPresets({ presets, customProviders }) merges a shared file
+function PresetPanel({ presets = [], models = [], customProviders = [], activePreset, onSavePreset, onApplyPreset, onDeletePreset, onImportPresets, onClose }) {
+  const [presetName, setPresetName] = useState(activePreset || '')
+  const [confirmingDelete, setConfirmingDelete] = useState(null)
+  const [message, setMessage] = useState('')
+
+  const exists = presets.some(p => p.name === presetName.trim())
+
+  const handleSave = () => {
+    if (!presetName.trim() || models.length === 0) return
+    onSavePreset(presetName)
+    setMessage(`✓ Preset "${presetName.trim()}" ${exists ? 'updated' : 'saved'}`)
+  }
+
+  const handleDelete = (name) => {
+    if (confirmingDelete !== name) {
+      setConfirmingDelete(name)
+      return
+    }
+    setConfirmingDelete(null)
+    onDeletePreset(name)
+    setMessage(`✓ Preset "${name}" deleted`)
+  }
+
+  const handleExport = (exported) => {
+    const fileName = exported.length === 1 ? `${exported[0].name}-preset.json` : 'arena-presets.json'
+    downloadFile(fileName, toPresetFile(exported, customProviders), 'application/json')
+  }
+
+  const handleImport = (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = () => {
+      try {
+        const imported = parsePresetFile(reader.result)
+        onImportPresets(imported)
+        setMessage(`✓ Imported ${imported.presets.length} preset(s)`)
+      } catch (err) {
+        setMessage(`❌ ${err.message}`)
+      }
+    }
+    reader.readAsText(file)
+  }
+
+  const describeModel = (model) => {
+    const params = describeParams(model.params)
+    return params ? `${model.name} (${params})` : model.name
+  }
+
+  return (
+    <div className="modalOverlay" onClick={onClose}>
+      <div className="presetModal" onClick={(e) => e.stopPropagation()}>
+        <div className="presetHeader">
+          <h2>🗂 Presets</h2>
+          <button className="historyCloseButton" onClick={onClose} title="Close presets">✕</button>
+        </div>
+        <p className="reviewHint">A preset saves the lineup and each model's settings, never API keys. Exported files are safe to share.</p>
+
+        <div className="presetSaveRow">
+          <input
+            className="apiKeyInput"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+            placeholder="Preset name, e.g. coding panel"
+            autoComplete='off'
+          />
+          <button className="saveKeyButton" onClick={handleSave} disabled={!presetName.trim() || models.length === 0}>
+            {exists ? 'Update preset' : 'Save lineup'}
+          </button>
+        </div>
+
+        {presets.length === 0 ? (
+          <p className="emptyText">No presets yet. Save the current lineup or import a shared file.</p>
+        ) : (
+          <div className="presetList">
+            {presets.map(preset => (
+              <div key={preset.name} className={`presetRow ${activePreset === preset.name ? 'active' : ''}`}>
+                <div className="presetInfo">
+                  <span className="presetName">{preset.name}</span>
+                  <span className="historyDate">
+                    {preset.models.length} model(s) · updated {new Date(preset.updatedAt).toLocaleDateString()}
+                  </span>
+                  <span className="presetModels">{preset.models.map(describeModel).join(', ')}</span>
+                </div>
+                <div className="presetActions">
+                  <button className="compareToggle selected" onClick={() => onApplyPreset(preset)}>Load</button>
+                  <button className="compareToggle" onClick={() => handleExport([preset])}>Export</button>
+                  <button
+                    className={`compareToggle deletePresetButton ${confirmingDelete === preset.name ? 'confirming' : ''}`}
+                    onClick={() => handleDelete(preset.name)}
+                  >
+                    {confirmingDelete === preset.name ? 'Confirm delete' : 'Delete'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {message && <p className={`saveMessage ${message.includes('✓') ? 'success' : 'error'}`}>{message}</p>}
+
+        <div className="presetButtons">
+          <label className="closeModalButton presetImport">
+            Import...
+            <input type="file" accept=".json,application/json" onChange={handleImport} hidden />
+          </label>
+          <button className="closeModalButton" onClick={() => handleExport(presets)} disabled={presets.length === 0}>
+            Export all
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PresetPanel
@@ -0,0 +1,117 @@
+import { useState } from 'react'
+import './PricingPanel.css'
+import { DEFAULT_PRICES, formatCost } from './pricing'
+
+// Prices per model name, the running spend and the budget it is checked against
+function PricingPanel({ models = [], pricing = {}, onPricingChange, spend, onResetSpend, budget, onBudgetChange, onClose }) {
+  // Draft values are kept as strings while editing
+  const [draft, setDraft] = useState(() => Object.fromEntries(Object.entries(pricing).map(([model, price]) =>
+    [model, { input: String(price.input), output: String(price.output) }])))
+  const [budgetInput, setBudgetInput] = useState(budget == null ? '' : String(budget))
+  const [message, setMessage] = useState('')
+
+  // Models on the grid first, then every other priced model
+  const activeNames = [...new Set(models.map(m => m.name))]
+  const modelNames = [...activeNames, ...Object.keys(draft).filter(name => !activeNames.includes(name)).sort()]
+
+  const updatePrice = (model, field, value) => {
+    setDraft(prev => ({ ...prev, [model]: { input: '', output: '', ...prev[model], [field]: value } }))
+  }
+
+  const handleSavePrices = () => {
+    const updated = {}
+    for (const [model, price] of Object.entries(draft)) {
+      const input = parseFloat(price.input)
+      const output = parseFloat(price.output)
+      if (Number.isFinite(input) && Number.isFinite(output)) updated[model] = { input, output }
+    }
+    onPricingChange(updated)
+    setMessage('✓ Prices saved')
+  }
+
+  const handleRestoreDefaults = () => {
+    setDraft(Object.fromEntries(Object.entries(DEFAULT_PRICES).map(([model, price]) =>
+      [model, { input: String(price.input), output: String(price.output) }])))
+    setMessage('')
+  }
+
+  const handleSaveBudget = () => {
+    const value = parseFloat(budgetInput)
+    onBudgetChange(Number.isFinite(value) && value > 0 ? value : null)
+    setMessage(Number.isFinite(value) && value > 0 ? '✓ Budget saved' : '✓ Budget removed')
+  }
+
+  const overBudget = budget != null && spend.total > budget
+
+  return (
+    <div className="modalOverlay" onClick={onClose}>
+      <div className="pricingModal" onClick={(e) => e.stopPropagation()}>
+        <div className="pricingHeader">
+          <h2>💲 Costs</h2>
+          <button className="historyCloseButton" onClick={onClose} title="Close costs">✕</button>
+        </div>
+
+        <div className={`spendSummary ${overBudget ? 'overBudget' : ''}`}>
+          <div>
+            <span className="spendTotal">{formatCost(spend.total)}</span>
+            <span className="historyDate"> spent since {new Date(spend.since).toLocaleDateString()}</span>
+            {budget != null && (
+              <p className="historyDate">
+                {overBudget ? '⚠️ Over budget' : `${formatCost(budget - spend.total)} left`} of {formatCost(budget)}
+              </p>
+            )}
+          </div>
+          <button className="closeModalButton" onClick={onResetSpend}>Reset</button>
+        </div>
+
+        <div className="budgetRow">
+          <span>Budget (USD)</span>
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={budgetInput}
+            onChange={(e) => setBudgetInput(e.target.value)}
+            placeholder="No budget"
+          />
+          <button className="compareToggle" onClick={handleSaveBudget}>Save budget</button>
+        </div>
+
+        <p className="reviewHint">Prices in USD per million tokens. Costs are estimates from the token counts each provider reports.</p>
+        <div className="pricingTable">
+          <table>
+            <thead>
+              <tr>
+                <th>Model</th>
+                <th>Input</th>
+                <th>Output</th>
+              </tr>
+            </thead>
+            <tbody>
+              {modelNames.map(model => (
+                <tr key={model} className={activeNames.includes(model) ? 'activeModelRow' : ''}>
+                  <td>{model}</td>
+                  <td>
+                    <input type="number" min="0" step="0.01" value={draft[model]?.input ?? ''} onChange={(e) => updatePrice(model, 'input', e.target.value)} placeholder="—" />
+                  </td>
+                  <td>
+                    <input type="number" min="0" step="0.01" value={draft[model]?.output ?? ''} onChange={(e) => updatePrice(model, 'output', e.target.value)} placeholder="—" />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {message && <p className="saveMessage success">{message}</p>}
+
+        <div className="pricingButtons">
+          <button className="saveKeyButton" onClick={handleSavePrices}>Save prices</button>
+          <button className="closeModalButton" onClick={handleRestoreDefaults}>Restore defaults</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PricingPanel
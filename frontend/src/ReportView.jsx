@@ -0,0 +1,89 @@
+import { useState } from 'react'
+import './ReportView.css'
+import MessageContent from './MessageContent'
+import StructuredReply from './StructuredReply'
+import ScoreBadges from './ScoreBadges'
+import { describeParams } from './generationParams'
+import { formatCost } from './pricing'
+
+// Read-only arena for an imported report: one round at a time, its replies side by side
+function ReportView({ report, icons = [], onClose }) {
+  const [roundIndex, setRoundIndex] = useState(0)
+  const round = report.rounds[roundIndex]
+  const getIcon = (provider) => icons.find(i => i.name === provider)?.path
+  const judgeRank = (entry) => (round.judgeVerdict?.ranking?.indexOf(entry.modelIdentifier) ?? -1) + 1
+
+  return (
+    <div className="modalOverlay" onClick={onClose}>
+      <div className="reportView" onClick={(e) => e.stopPropagation()}>
+        <div className="reportViewHeader">
+          <h2>📄 Report</h2>
+          <span className="historyDate">
+            Read-only{report.exportedAt && ` · exported ${new Date(report.exportedAt).toLocaleString()}`}
+          </span>
+          {report.rounds.length > 1 && (
+            <div className="segmentedControl">
+              {report.rounds.map((r, i) => (
+                <button key={i} className={i === roundIndex ? 'selected' : ''} onClick={() => setRoundIndex(i)} title={r.prompt}>
+                  Round {i + 1}
+                </button>
+              ))}
+            </div>
+          )}
+          <button className="historyCloseButton" onClick={onClose} title="Close report">✕</button>
+        </div>
+
+        <div className="reportRound">
+          <div className="message userMessage">
+            {round.prompt}
+            {round.attachments.length > 0 && <div className="reportMeta">📎 {round.attachments.join(', ')}</div>}
+          </div>
+          <div className="reportMeta">
+            {new Date(round.startedAt).toLocaleString()}
+            {round.expected && ` · 🎯 Expected: ${round.expected}`}
+          </div>
+          {round.judgeVerdict && (
+            <div className="reportMeta">⚖️ {round.judgeVerdict.judge}: {round.judgeVerdict.rationale || 'no rationale'}</div>
+          )}
+
+          <div className="reportGrid">
+            {round.entries.map(entry => (
+              <div key={entry.modelIdentifier} className={`reportColumn ${round.winner === entry.modelIdentifier ? 'winner' : ''}`}>
+                <div className="reportColumnHeader">
+                  {getIcon(entry.provider) && <img src={getIcon(entry.provider)} alt={entry.provider} />}
+                  <span className="reportModel">
+                    {round.winner === entry.modelIdentifier && '👑 '}{entry.model}
+                    {entry.params && describeParams(entry.params) && (
+                      <span className="paramsSummary" title={entry.params.systemPrompt}>{describeParams(entry.params)}</span>
+                    )}
+                  </span>
+                  {judgeRank(entry) > 0 && (
+                    <span className={`judgeRank ${judgeRank(entry) === 1 ? 'best' : ''}`} title="Place in the LLM judge's verdict">⚖️ #{judgeRank(entry)}</span>
+                  )}
+                  {entry.latencyMs != null && <span className="chatTiming">⏱ {(entry.latencyMs / 1000).toFixed(1)}s</span>}
+                  {entry.usage && (
+                    <span className="chatTiming" title="Tokens in → out">
+                      🪙 {entry.usage.inputTokens ?? '?'}→{entry.usage.outputTokens ?? '?'}{entry.cost != null && ` · ${formatCost(entry.cost)}`}
+                    </span>
+                  )}
+                </div>
+                <ScoreBadges scores={entry.scores} />
+                {entry.error ? (
+                  <p className="historyError">⚠️ {entry.error}</p>
+                ) : (
+                  <div className="message botMessage reportReply">
+                    {round.responseSchema
+                      ? <StructuredReply content={entry.response} schema={round.responseSchema} />
+                      : <MessageContent content={entry.response} />}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ReportView
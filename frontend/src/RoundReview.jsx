@@ -0,0 +1,209 @@
+import { useState } from 'react'
+import './RoundReview.css'
+
+const DEFAULT_CRITERIA = ['Accuracy', 'Style', 'Conciseness']
+const SCORE_VALUES = [1, 2, 3, 4, 5]
+
+const saveRoundReview = async (review) => {
+  try {
+    const response = await fetch('/api/reviews', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(review)
+    });
+
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+    const data = await response.json();
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error saving review:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const loadCriteria = () => {
+  const saved = JSON.parse(localStorage.getItem('reviewCriteria') || 'null')
+  return Array.isArray(saved) && saved.length > 0 ? saved : DEFAULT_CRITERIA
+}
+
+// replies: [{ modelIdentifier, label, icon, response }] in grid order
+function RoundReview({ prompt = '', replies = [], onClose, onSaved }) {
+  const [order, setOrder] = useState(() => replies.map(r => r.modelIdentifier))
+  const [criteria, setCriteria] = useState(loadCriteria)
+  const [newCriterion, setNewCriterion] = useState('')
+  const [scores, setScores] = useState({}) // modelIdentifier -> { criterion -> 1..5 }
+  const [notes, setNotes] = useState('')
+  const [draggedId, setDraggedId] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [saveMessage, setSaveMessage] = useState('')
+
+  const updateCriteria = (next) => {
+    setCriteria(next)
+    localStorage.setItem('reviewCriteria', JSON.stringify(next))
+  }
+
+  const handleAddCriterion = () => {
+    const name = newCriterion.trim()
+    if (!name || criteria.includes(name)) return
+    updateCriteria([...criteria, name])
+    setNewCriterion('')
+  }
+
+  const handleRemoveCriterion = (name) => {
+    updateCriteria(criteria.filter(c => c !== name))
+  }
+
+  const handleScore = (modelIdentifier, criterion, value) => {
+    setScores(prev => ({
+      ...prev,
+      [modelIdentifier]: { ...prev[modelIdentifier], [criterion]: value }
+    }))
+  }
+
+  // Moves the dragged reply into the slot of the one under the cursor
+  const handleDragOver = (e, overId) => {
+    e.preventDefault()
+    if (!draggedId || draggedId === overId) return
+    setOrder(prev => {
+      const next = prev.filter(id => id !== draggedId)
+      next.splice(prev.indexOf(overId), 0, draggedId)
+      return next
+    })
+  }
+
+  const moveBy = (modelIdentifier, offset) => {
+    setOrder(prev => {
+      const index = prev.indexOf(modelIdentifier)
+      const target = index + offset
+      if (target < 0 || target >= prev.length) return prev
+      const next = [...prev]
+      ;[next[index], next[target]] = [next[target], next[index]]
+      return next
+    })
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    setSaveMessage('⏳ Saving...')
+
+    // Only keep scores for criteria that still exist
+    const cleanScores = Object.fromEntries(order.map(id => [
+      id,
+      Object.fromEntries(criteria.filter(c => scores[id]?.[c]).map(c => [c, scores[id][c]]))
+    ]))
+
+    const result = await saveRoundReview({
+      prompt,
+      rankings: order,
+      criteria,
+      scores: cleanScores,
+      notes: notes.trim()
+    })
+
+    setSaving(false)
+    if (!result.success) {
+      setSaveMessage(`❌ Failed to save: ${result.error}`)
+      return
+    }
+    setSaveMessage('✓ Review saved')
+    onSaved?.()
+  }
+
+  const repliesById = Object.fromEntries(replies.map(r => [r.modelIdentifier, r]))
+
+  return (
+    <div className="modalOverlay" onClick={onClose}>
+      <div className="reviewModal" onClick={(e) => e.stopPropagation()}>
+        <h2>📝 Rank & score this round</h2>
+        <p className="reviewPrompt">{prompt}</p>
+
+        <div className="criteriaEditor">
+          <span>Criteria:</span>
+          {criteria.map(c => (
+            <span key={c} className="criterionChip">
+              {c}
+              <button onClick={() => handleRemoveCriterion(c)} title={`Remove ${c}`}>✕</button>
+            </span>
+          ))}
+          <input
+            className="criterionInput"
+            value={newCriterion}
+            onChange={(e) => setNewCriterion(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleAddCriterion()}
+            placeholder="Add criterion..."
+            autoComplete='off'
+          />
+        </div>
+
+        <p className="reviewHint">Drag replies to rank them, best on top.</p>
+        <ol className="rankingList">
+          {order.map((id, index) => {
+            const reply = repliesById[id]
+            if (!reply) return null
+            return (
+              <li
+                key={id}
+                className={`rankingItem ${draggedId === id ? 'dragging' : ''}`}
+                draggable
+                onDragStart={() => setDraggedId(id)}
+                onDragOver={(e) => handleDragOver(e, id)}
+                onDragEnd={() => setDraggedId(null)}
+              >
+                <div className="rankingHandle" title="Drag to reorder">
+                  <span className="rankNumber">{index + 1}</span>
+                  <button onClick={() => moveBy(id, -1)} disabled={index === 0} title="Move up">▲</button>
+                  <button onClick={() => moveBy(id, 1)} disabled={index === order.length - 1} title="Move down">▼</button>
+                </div>
+                <div className="rankingBody">
+                  <div className="rankingTitle">
+                    {reply.icon && <img src={reply.icon} alt="" />}
+                    {reply.label}
+                  </div>
+                  <div className="rankingResponse">{reply.response}</div>
+                  <div className="scoreRows">
+                    {criteria.map(criterion => (
+                      <div key={criterion} className="scoreRow">
+                        <span>{criterion}</span>
+                        {SCORE_VALUES.map(value => (
+                          <button
+                            key={value}
+                            className={`scoreButton ${scores[id]?.[criterion] === value ? 'selected' : ''}`}
+                            onClick={() => handleScore(id, criterion, value)}
+                          >
+                            {value}
+                          </button>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </li>
+            )
+          })}
+        </ol>
+
+        <textarea
+          className="reviewNotes"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          placeholder="Notes (optional)..."
+        />
+
+        {saveMessage && (
+          <p className={`saveMessage ${saveMessage.includes('✓') ? 'success' : 'error'}`}>{saveMessage}</p>
+        )}
+
+        <div className="reviewButtons">
+          <button className="saveKeyButton" onClick={handleSave} disabled={saving || order.length === 0}>
+            {saving ? 'Saving...' : 'Save review'}
+          </button>
+          <button className="closeModalButton" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RoundReview
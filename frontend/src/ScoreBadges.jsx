@@ -0,0 +1,25 @@
+import './ScoreBadges.css'
+import { SCORE_LABELS } from './scoring'
+
+const formatScore = (value) => typeof value === 'boolean' ? (value ? '✓' : '✗') : value.toFixed(2)
+
+// One badge per metric of a reply's scores against the expected answer (see scoring.js)
+function ScoreBadges({ scores }) {
+  if (!scores) return null
+
+  return (
+    <div className="scoreBadges" title="Scores against the expected answer">
+      <span className={`scoreBadge headline ${scores.match ? 'pass' : 'fail'}`}>🎯 {scores.match ? 'Match' : 'No match'}</span>
+      {Object.keys(SCORE_LABELS).filter(metric => scores[metric] !== undefined).map(metric => (
+        <span
+          key={metric}
+          className={`scoreBadge ${scores[metric] === true ? 'pass' : scores[metric] === false ? 'fail' : ''}`}
+        >
+          {SCORE_LABELS[metric]} {formatScore(scores[metric])}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+export default ScoreBadges
@@ -0,0 +1,71 @@
+import { useState } from 'react'
+import './StructuredReply.css'
+import MessageContent from './MessageContent'
+import { validateReply, jsonType, childPath } from './structuredOutput'
+
+// A reply in structured output mode: validity against the round's schema, then the
+// parsed JSON as a collapsible tree with each error shown on the field it concerns
+function StructuredReply({ content, schema }) {
+  const [showRaw, setShowRaw] = useState(false)
+  const { parsed, value, errors } = validateReply(schema, content)
+
+  return (
+    <div className="structuredReply">
+      <div className="structuredStatus">
+        <span className={errors.length === 0 ? 'pass' : 'fail'}>
+          {errors.length === 0 ? '✓ Matches the schema' : parsed ? `✗ ${errors.length} schema error(s)` : '✗ Not JSON'}
+        </span>
+        {parsed && (
+          <button className="compareToggle" onClick={() => setShowRaw(prev => !prev)}>
+            {showRaw ? '🌳 Tree' : '📄 Raw'}
+          </button>
+        )}
+      </div>
+      {parsed && !showRaw
+        ? <JsonNode value={value} path="" errors={errors} depth={0} />
+        : <MessageContent content={content} />}
+    </div>
+  )
+}
+
+function JsonNode({ name, value, path, errors, depth }) {
+  const ownErrors = errors.filter(e => e.path === path)
+  const nestedErrors = errors.filter(e => e.path.startsWith(`${path}/`))
+  const label = name !== undefined && <span className="jsonKey">{name}:</span>
+  const errorList = ownErrors.map((error, i) => <span key={i} className="jsonError">⚠ {error.message}</span>)
+  const type = jsonType(value)
+
+  if (type !== 'object' && type !== 'array') {
+    return (
+      <div className={`jsonLeaf ${ownErrors.length > 0 ? 'invalid' : ''}`}>
+        {label} <span className={`jsonValue ${type}`}>{JSON.stringify(value)}</span>
+        {errorList}
+      </div>
+    )
+  }
+
+  const children = type === 'array' ? value.map((item, i) => [i, item]) : Object.entries(value)
+  return (
+    // Branches with errors start open so every error is in view
+    <details className={`jsonBranch ${ownErrors.length > 0 ? 'invalid' : ''}`} open={depth < 2 || nestedErrors.length > 0}>
+      <summary className={nestedErrors.length > 0 ? 'hasErrors' : ''}>
+        {label} <span className="jsonSize">{type === 'array' ? `[${children.length}]` : `{${children.length}}`}</span>
+        {errorList}
+      </summary>
+      <div className="jsonChildren">
+        {children.map(([key, item]) => (
+          <JsonNode
+            key={key}
+            name={key}
+            value={item}
+            path={childPath(path, key)}
+            errors={errors}
+            depth={depth + 1}
+          />
+        ))}
+      </div>
+    </details>
+  )
+}
+
+export default StructuredReply
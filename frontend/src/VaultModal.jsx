@@ -0,0 +1,103 @@
+import { useState } from 'react'
+import './VaultModal.css'
+import { createVault, unlockVault, hasVault, isVaultSupported, MIN_PASSPHRASE_LENGTH } from './keyVault'
+
+// Shown over the arena while the key vault is locked, or before it exists.
+// onUnlock receives the decrypted keys; onClearAll wipes the browser's data.
+function VaultModal({ onUnlock, onClearAll }) {
+  const [isNew] = useState(() => !hasVault())
+  const [passphrase, setPassphrase] = useState('')
+  const [confirmation, setConfirmation] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [message, setMessage] = useState('')
+  const [confirmingClear, setConfirmingClear] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (isNew && passphrase !== confirmation) {
+      setMessage('❌ The passphrases do not match')
+      return
+    }
+
+    setBusy(true)
+    setMessage('')
+    try {
+      onUnlock(isNew ? await createVault(passphrase) : await unlockVault(passphrase))
+    } catch (err) {
+      setMessage(`❌ ${err.message}`)
+      setBusy(false)
+    }
+  }
+
+  const handleClearAll = () => {
+    if (!confirmingClear) {
+      setConfirmingClear(true)
+      return
+    }
+    setBusy(true)
+    onClearAll()
+  }
+
+  if (!isVaultSupported()) {
+    return (
+      <div className="consentOverlay">
+        <div className="consentModal">
+          <h2>🔒 Key vault unavailable</h2>
+          <p className="warningText">
+            ⚠️ Your browser only allows encryption on https:// pages and localhost. Open the arena through one of those to store API keys.
+          </p>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="consentOverlay">
+      <form className="consentModal vaultModal" onSubmit={handleSubmit}>
+        <h2>{isNew ? '🔐 Create your key vault' : '🔒 Vault locked'}</h2>
+        <p className="vaultText">
+          {isNew
+            ? 'API keys are encrypted in this browser with a passphrase only you know. It cannot be recovered: if you forget it, clear all data and add your keys again.'
+            : 'Enter your passphrase to unlock your API keys.'}
+        </p>
+
+        <input
+          type="password"
+          className="apiKeyInput"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          placeholder={isNew ? `Passphrase (at least ${MIN_PASSPHRASE_LENGTH} characters)` : 'Passphrase'}
+          autoComplete={isNew ? 'new-password' : 'current-password'}
+          disabled={busy}
+          autoFocus
+        />
+        {isNew && (
+          <input
+            type="password"
+            className="apiKeyInput"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            placeholder="Repeat the passphrase"
+            autoComplete="new-password"
+            disabled={busy}
+          />
+        )}
+
+        {message && <p className="saveMessage error">{message}</p>}
+
+        <div className="consentButtons">
+          <button type="submit" className="consentButton acceptButton" disabled={busy || !passphrase}>
+            {busy ? '⏳ Working...' : isNew ? 'Create vault' : 'Unlock'}
+          </button>
+          {!isNew && (
+            <button type="button" className="consentButton rejectButton" onClick={handleClearAll} disabled={busy}>
+              {confirmingClear ? 'Confirm: erase everything' : 'Forgot it? Clear all data'}
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default VaultModal
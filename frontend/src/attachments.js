@@ -0,0 +1,63 @@
+// Files attached to the master prompt, as
+// { id, name, mimeType, size, kind: 'image' | 'text', data?, text?, previewUrl? }.
+// Images reach the model as images (data is base64) and only vision models get
+// them; text documents are read as text and inlined, so every model can use them.
+
+export const MAX_ATTACHMENTS = 5
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024 // The strictest provider limit (Anthropic)
+export const MAX_TEXT_BYTES = 512 * 1024
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp']
+const TEXT_EXTENSIONS = /\.(txt|md|markdown|csv|tsv|json|jsonl|xml|ya?ml|html?|css|jsx?|tsx?|py|java|kt|c|cpp|h|cs|go|rs|rb|php|sh|sql|log)$/i
+
+// Model names that take images, per provider; providers missing here never do
+const IMAGE_MODELS = {
+  openai: (model) => !/gpt-3\.5|o1-mini|o3-mini/i.test(model),
+  claude: () => true,
+  gemini: () => true,
+  qwen: (model) => /vl|omni|qvq/i.test(model)
+}
+
+export const supportsImages = (provider, modelName) => IMAGE_MODELS[provider]?.(modelName) ?? false
+
+const isTextFile = (file) =>
+  file.type.startsWith('text/') || file.type === 'application/json' || TEXT_EXTENSIONS.test(file.name)
+
+const readFile = (file, asText) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.onerror = () => reject(new Error(`Could not read ${file.name}`))
+  if (asText) reader.readAsText(file)
+  else reader.readAsDataURL(file)
+})
+
+// Reads a dropped, pasted or picked file; throws with a message fit for the user
+export const readAttachment = async (file) => {
+  const base = { id: crypto.randomUUID(), name: file.name || 'pasted-image', mimeType: file.type, size: file.size }
+
+  if (IMAGE_TYPES.includes(file.type)) {
+    if (file.size > MAX_IMAGE_BYTES) throw new Error(`${base.name} is over 5 MB`)
+    const dataUrl = await readFile(file, false)
+    return { ...base, kind: 'image', data: dataUrl.slice(dataUrl.indexOf(',') + 1), previewUrl: dataUrl }
+  }
+
+  if (isTextFile(file)) {
+    if (file.size > MAX_TEXT_BYTES) throw new Error(`${base.name} is over 512 KB`)
+    return { ...base, mimeType: file.type || 'text/plain', kind: 'text', text: await readFile(file, true) }
+  }
+
+  throw new Error(`${base.name}: only images (PNG, JPEG, GIF, WebP) and text files are supported`)
+}
+
+// Splits attachments into what this model can receive and what it can't
+export const partitionAttachments = (attachments, provider, modelName) => {
+  const images = supportsImages(provider, modelName)
+  return {
+    accepted: attachments.filter(a => a.kind === 'text' || images),
+    omitted: attachments.filter(a => a.kind === 'image' && !images)
+  }
+}
+
+// What /api/process receives for one attachment
+export const toPayloadAttachment = ({ name, mimeType, kind, data, text }) =>
+  kind === 'image' ? { name, mimeType, data } : { name, mimeType, text }
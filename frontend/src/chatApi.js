@@ -0,0 +1,151 @@
+// Requests to the /api/process endpoints, shared by everything that talks to a model
+
+// Failure categories reported by the backend (plus network and timeout, which can
+// also happen on the way to it), with how the UI shows them
+export const ERROR_CATEGORIES = {
+  invalid_key: { icon: '🔑', label: 'Invalid API key' },
+  rate_limited: { icon: '🚦', label: 'Rate limited' },
+  model_not_found: { icon: '❓', label: 'Model not found' },
+  network: { icon: '🔌', label: 'Network error' },
+  timeout: { icon: '⏱', label: 'Timed out' },
+  server_error: { icon: '🔥', label: 'Provider error' },
+  invalid_request: { icon: '🚫', label: 'Invalid request' },
+  unknown: { icon: '⚠️', label: 'Error' }
+}
+
+// Idle timeout when a model has none set: no reply or token for this long aborts the request
+export const DEFAULT_TIMEOUT_SECONDS = 120
+
+const MAX_RETRIES = 2
+const RETRY_BASE_DELAY_MS = 1000
+
+// Errors thrown by the chat calls carry the backend's category and raw detail
+const chatError = ({ error, detail, category, retryable }) =>
+  Object.assign(new Error(error || "No reply received."), {
+    category: ERROR_CATEGORIES[category] ? category : 'unknown',
+    detail,
+    retryable: Boolean(retryable)
+  })
+
+// Sorts any failure of a chat call into a category; aborts are left to the caller
+export const toChatError = (err) => {
+  if (err.category || err.name === 'AbortError') return err
+  if (err.name === 'TimeoutError') return chatError({ error: "No reply before the timeout", category: 'timeout' })
+  // fetch rejects with a TypeError when the server can't be reached at all
+  if (err instanceof TypeError) return chatError({ error: "Could not reach server", detail: err.message, category: 'network' })
+  return chatError({ error: err.message, category: 'unknown' })
+}
+
+// Waits before the next attempt, or rejects as soon as signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms)
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer)
+    reject(signal.reason ?? new DOMException('Aborted', 'AbortError'))
+  }, { once: true })
+})
+
+// Repeats request() on retryable errors (rate limits, provider 5xx) with exponential
+// backoff. canRetry(err) can veto a retry, e.g. once part of a reply was shown.
+export const withRetries = async (request, { signal, canRetry = () => true, onRetry } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request()
+    } catch (err) {
+      const error = toChatError(err)
+      if (attempt >= MAX_RETRIES || !error.retryable || !canRetry(error)) throw error
+      const delay = RETRY_BASE_DELAY_MS * 2 ** attempt + Math.random() * 250
+      onRetry?.({ attempt: attempt + 1, delay, error })
+      await sleep(delay, signal)
+    }
+  }
+}
+
+// One-shot call: waits for the whole reply
+export const processChat = async (payload, { signal } = {}) => {
+  const response = await fetch('/api/process', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal
+  })
+
+  const data = await response.json()
+  if (!response.ok) throw chatError(data)
+  return data
+}
+
+// Parses "event:" / "data:" blocks out of a Server-Sent Events body
+const readEventStream = async (body, onEvent) => {
+  const reader = body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+
+    // Events are separated by a blank line
+    const blocks = buffer.split(/\r?\n\r?\n/)
+    buffer = blocks.pop()
+
+    for (const block of blocks) {
+      let event = 'message'
+      const dataLines = []
+      for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith('event:')) event = line.slice(6).trim()
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''))
+      }
+      if (dataLines.length > 0) onEvent(event, JSON.parse(dataLines.join('\n')))
+    }
+  }
+}
+
+// A failed response's error body, or a generic one when it isn't the backend's JSON (e.g. from the proxy)
+const readErrorBody = async (response) => {
+  try {
+    return await response.json()
+  } catch {
+    return {
+      error: response.status === 413 ? "The request is too large for the server" : `HTTP error! status: ${response.status}`,
+      category: response.status >= 500 ? 'server_error' : 'unknown'
+    }
+  }
+}
+
+// Streaming call: onToken receives every chunk as it arrives.
+// Falls back to the one-shot call when the server answers without a stream; errors are
+// not sent again, the stream endpoint reports them as the one-shot one would.
+export const streamChat = async (payload, { signal, onToken } = {}) => {
+  const response = await fetch('/api/process/stream', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream'
+    },
+    body: JSON.stringify(payload),
+    signal
+  })
+
+  if (!response.ok) throw chatError(await readErrorBody(response))
+
+  const isEventStream = (response.headers.get('Content-Type') || '').includes('text/event-stream')
+  if (!response.body || !isEventStream) {
+    const data = await processChat(payload, { signal })
+    onToken?.(data.reply || '')
+    return { ...data, streamed: false }
+  }
+
+  let result = null
+  let streamError = null
+  await readEventStream(response.body, (event, data) => {
+    if (event === 'token') onToken?.(data.token)
+    else if (event === 'done') result = data
+    else if (event === 'error') streamError = data
+  })
+
+  if (streamError) throw chatError({ error: "Stream failed", ...streamError })
+  if (!result) throw chatError({ error: "Stream ended before the reply was complete", category: 'network' })
+  return { ...result, streamed: true }
+}
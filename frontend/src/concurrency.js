@@ -0,0 +1,15 @@
+// Runs async tasks with at most `limit` in flight. Tasks should handle their
+// own errors; once the signal aborts, no new task is started.
+export const runWithConcurrency = async (tasks, limit, { signal } = {}) => {
+  let next = 0
+
+  const worker = async () => {
+    while (next < tasks.length && !signal?.aborted) {
+      const task = tasks[next++]
+      await task()
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit, tasks.length))
+  await Promise.all(Array.from({ length: workers }, worker))
+}
@@ -0,0 +1,43 @@
+// User-added OpenAI-compatible endpoints (vLLM, Ollama, LM Studio, mock servers...)
+// stored in localStorage as [{ id, name, baseUrl, icon }]. The id doubles as the
+// provider part of model identifiers, so it never contains a "-".
+
+export const CUSTOM_PROVIDER_PREFIX = 'custom_'
+
+export const isCustomProvider = (provider) =>
+  typeof provider === 'string' && provider.startsWith(CUSTOM_PROVIDER_PREFIX)
+
+export const loadCustomProviders = () => JSON.parse(localStorage.getItem('customProviders') || '[]')
+
+export const saveCustomProviders = (providers) => {
+  localStorage.setItem('customProviders', JSON.stringify(providers))
+}
+
+// "Local Ollama" -> "custom_local_ollama"
+export const toCustomProviderId = (name) =>
+  CUSTOM_PROVIDER_PREFIX + name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+
+// An id as toCustomProviderId makes them, for ids that come from elsewhere (e.g. an imported preset file)
+export const isValidCustomProviderId = (id) =>
+  isCustomProvider(id) && id !== CUSTOM_PROVIDER_PREFIX && toCustomProviderId(id.slice(CUSTOM_PROVIDER_PREFIX.length)) === id
+
+// Endpoints are addressed by their API root, e.g. "http://localhost:11434/v1"
+export const normalizeBaseUrl = (url) => {
+  const trimmed = url.trim().replace(/\/+$/, '')
+  return /\/v\d+$/.test(trimmed) ? trimmed : `${trimmed}/v1`
+}
+
+// Lists the endpoint's models through the backend. apiKey is optional; without
+// it the key stored for provider (if any) is used.
+export const discoverModels = async ({ baseUrl, apiKey, provider }) => {
+  const response = await fetch('/api/models/discover', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({ baseUrl, apiKey, provider })
+  })
+
+  const data = await response.json()
+  if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`)
+  return data.models || []
+}
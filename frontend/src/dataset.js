@@ -0,0 +1,75 @@
+// Prompt templates with {{variables}} and the CSV / JSONL datasets that fill them
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g
+
+// Variable names in order of first appearance
+export const extractVariables = (template = '') =>
+  [...new Set([...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]))]
+
+// Unknown variables are left in place so they are easy to spot
+export const fillTemplate = (template = '', values = {}) =>
+  template.replace(VARIABLE_PATTERN, (match, name) =>
+    values[name] !== undefined && values[name] !== null ? String(values[name]) : match)
+
+// RFC 4180-style CSV: quoted fields, "" escapes, commas and newlines inside quotes
+export const parseCsv = (text) => {
+  const records = []
+  let record = []
+  let field = ''
+  let inQuotes = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field)
+    records.push(record)
+  }
+
+  const [header = [], ...rows] = records.filter(r => r.some(value => value.trim()))
+  const columns = header.map(h => h.trim())
+  return rows.map(row => Object.fromEntries(columns.map((column, i) => [column, row[i] ?? ''])))
+}
+
+// One JSON object per line; a plain JSON array of objects works too
+export const parseJsonl = (text) => {
+  const trimmed = text.trim()
+  if (trimmed.startsWith('[')) return JSON.parse(trimmed)
+  return trimmed.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line))
+}
+
+export const parseDataset = (fileName, text) =>
+  fileName.toLowerCase().endsWith('.csv') ? parseCsv(text) : parseJsonl(text)
+
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export const toCsv = (rows, columns) =>
+  [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(escapeCsvValue).join(','))
+    .join('\n')
@@ -0,0 +1,9 @@
+// Saves generated content as a file through a temporary link
+export const downloadFile = (fileName, content, mimeType = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
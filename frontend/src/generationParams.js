@@ -0,0 +1,33 @@
+// Per-instance generation settings stored on each entry of activeModels as
+// `params` and sent with every chat request. Missing fields keep the provider default.
+
+export const PARAM_FIELDS = [
+  { key: 'temperature', label: 'Temperature', min: 0, max: 2, step: 0.1 },
+  { key: 'topP', label: 'Top P', min: 0, max: 1, step: 0.05 },
+  { key: 'maxTokens', label: 'Max tokens', min: 1, step: 1, integer: true },
+  { key: 'seed', label: 'Seed', step: 1, integer: true },
+  { key: 'timeoutSeconds', label: 'Timeout (s)', min: 5, step: 5, integer: true }
+]
+
+// Drops blank and invalid values; numbers are stored as numbers
+export const cleanParams = (params = {}) => {
+  const cleaned = {}
+  for (const { key, integer } of PARAM_FIELDS) {
+    const value = params[key]
+    if (value === '' || value === null || value === undefined) continue
+    const number = integer ? parseInt(value, 10) : parseFloat(value)
+    if (Number.isFinite(number)) cleaned[key] = number
+  }
+  if (params.systemPrompt?.trim()) cleaned.systemPrompt = params.systemPrompt.trim()
+  return cleaned
+}
+
+// Short summary shown in the chat header, e.g. "temp 0 · 512 tok · persona".
+// The timeout doesn't change replies, so it is left out.
+export const describeParams = (params = {}) => [
+  params.temperature !== undefined && `temp ${params.temperature}`,
+  params.topP !== undefined && `top_p ${params.topP}`,
+  params.maxTokens !== undefined && `${params.maxTokens} tok`,
+  params.seed !== undefined && `seed ${params.seed}`,
+  params.systemPrompt && 'persona'
+].filter(Boolean).join(' · ')
@@ -0,0 +1,141 @@
+// LLM-as-judge: a configured model grades the replies of a round. The judge
+// sees the prompt and the replies as "Reply A", "Reply B"... in a shuffled
+// order, never the model names, and answers with a ranking and a rationale.
+//
+// Settings are stored in localStorage as { enabled, provider, name, baseUrl, rubric };
+// a verdict is { judge: "provider/model", rubric, ranking: [modelIdentifier, best first], rationale, judgedAt }.
+
+import { processChat, withRetries } from './chatApi'
+import { createModelIdentifier } from './modelIdentifier'
+
+export const DEFAULT_RUBRIC = `Correctness: is the reply accurate and free of errors?
+Helpfulness: does it answer what was actually asked?
+Clarity: is it well organized and easy to follow?
+Concision: does it avoid padding and repetition?`
+
+const JUDGE_SYSTEM_PROMPT = 'You are an impartial judge comparing AI assistant replies. Judge the content only: ignore reply order and length beyond what the rubric asks for.'
+
+// Replies above this length are cut so the judge's context isn't blown by one reply
+const MAX_REPLY_CHARS = 12000
+
+const DEFAULT_SETTINGS = { enabled: false, provider: null, name: null, baseUrl: undefined, rubric: DEFAULT_RUBRIC }
+
+export const loadJudgeSettings = () => ({ ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem('arenaJudge') || '{}') })
+
+export const saveJudgeSettings = (settings) => {
+  localStorage.setItem('arenaJudge', JSON.stringify(settings))
+}
+
+// "provider/model", the same key the leaderboard uses
+export const getJudgeLabel = (judge) => `${judge.provider}/${judge.name}`
+
+// Replies of a finished round worth judging: [{ modelIdentifier, response }]
+export const getJudgeableReplies = (round) => round.order
+  .map(modelIdentifier => ({ modelIdentifier, ...round.entries[modelIdentifier] }))
+  .filter(entry => entry.status === 'done' && entry.response?.trim())
+  .map(({ modelIdentifier, response }) => ({ modelIdentifier, response }))
+
+const shuffle = (items) => {
+  const shuffled = [...items]
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1))
+    ;[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+  }
+  return shuffled
+}
+
+const toLabel = (index) => String.fromCharCode(65 + index)
+
+const buildJudgePrompt = (prompt, labelled, rubric) => [
+  'Rank the replies below to the user prompt, best first, using this rubric:',
+  rubric.trim() || DEFAULT_RUBRIC,
+  '',
+  '<prompt>',
+  prompt,
+  '</prompt>',
+  ...labelled.flatMap(({ label, response }) => [
+    '',
+    `<reply id="${label}">`,
+    response.length > MAX_REPLY_CHARS ? `${response.slice(0, MAX_REPLY_CHARS)}\n[...cut]` : response,
+    '</reply>'
+  ]),
+  '',
+  'Answer with JSON only, no code fence, in this shape:',
+  `{"ranking": [${labelled.map(({ label }) => `"${label}"`).join(', ')}], "rationale": "a few sentences on why the best reply wins and where the others fall short"}`,
+  'The ranking must list every reply id exactly once, best first.'
+].join('\n')
+
+// Reads the judge's JSON answer; tolerates code fences and "Reply A" style ids
+const parseVerdict = (text, labels) => {
+  const start = text.indexOf('{')
+  const end = text.lastIndexOf('}')
+  if (start === -1 || end < start) throw new Error('The judge did not answer with JSON')
+
+  let answer
+  try {
+    answer = JSON.parse(text.slice(start, end + 1))
+  } catch {
+    throw new Error('The judge answered with invalid JSON')
+  }
+
+  const ranking = (Array.isArray(answer.ranking) ? answer.ranking : [])
+    .map(id => String(id).trim().toUpperCase().match(/([A-Z])$/)?.[1])
+    .filter((label, i, all) => labels.includes(label) && all.indexOf(label) === i)
+  if (ranking.length !== labels.length) throw new Error('The judge did not rank every reply')
+
+  return { ranking, rationale: typeof answer.rationale === 'string' ? answer.rationale.trim() : '' }
+}
+
+// Asks the judge for a verdict on replies ([{ modelIdentifier, response }], at least two)
+export const runJudge = async ({ judge, apiKey, prompt, replies, signal }) => {
+  if (!judge.provider || !judge.name) throw new Error('No judge model chosen')
+  if (!apiKey && !judge.baseUrl) throw new Error(`No API key for the judge (${getJudgeLabel(judge)})`)
+  if (replies.length < 2) throw new Error('A verdict needs at least two replies')
+
+  const labelled = shuffle(replies).map((reply, index) => ({ ...reply, label: toLabel(index) }))
+  const labels = labelled.map(r => r.label)
+
+  const data = await withRetries(() => processChat({
+    modelIdentifier: createModelIdentifier(judge.provider, judge.name, 0),
+    messages: [{ role: 'user', content: buildJudgePrompt(prompt, labelled, judge.rubric) }],
+    apiKey,
+    baseUrl: judge.baseUrl,
+    params: { temperature: 0, systemPrompt: JUDGE_SYSTEM_PROMPT },
+    judge: true // Keeps the judge prompt out of the chat history
+  }, { signal }), { signal })
+
+  const { ranking, rationale } = parseVerdict(data.reply || '', labels)
+  return {
+    judge: getJudgeLabel(judge),
+    rubric: judge.rubric,
+    ranking: ranking.map(label => labelled.find(r => r.label === label).modelIdentifier),
+    rationale,
+    judgedAt: new Date().toISOString()
+  }
+}
+
+// Human-vs-judge agreement per judge model, from winner selections carrying a verdict.
+// Returns [{ judge, rounds, agreed, topTwo, meanRank, disagreements }], most rounds first.
+export const summarizeAgreement = (winners) => {
+  const byJudge = new Map()
+  for (const winner of winners) {
+    const verdict = winner.judgeVerdict
+    if (!verdict?.ranking?.length) continue
+
+    const rank = verdict.ranking.indexOf(winner.modelIdentifier) + 1
+    if (rank === 0) continue // The judge never saw the human pick (e.g. it replied after the verdict)
+
+    const stats = byJudge.get(verdict.judge) || { judge: verdict.judge, rounds: 0, agreed: 0, topTwo: 0, rankSum: 0, disagreements: [] }
+    stats.rounds++
+    stats.rankSum += rank
+    if (rank === 1) stats.agreed++
+    else stats.disagreements.push({ ...winner, judgeRank: rank })
+    if (rank <= 2) stats.topTwo++
+    byJudge.set(verdict.judge, stats)
+  }
+
+  return [...byJudge.values()]
+    .map(({ rankSum, ...stats }) => ({ ...stats, meanRank: rankSum / stats.rounds }))
+    .sort((a, b) => b.rounds - a.rounds)
+}
+
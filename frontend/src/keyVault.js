@@ -0,0 +1,142 @@
+// Client-side key vault: API keys are encrypted at rest in localStorage with
+// AES-GCM, under a key derived from the user's passphrase (PBKDF2). The derived
+// key lives only in memory while the vault is unlocked; models on the grid keep
+// just a reference (keyRef, the provider id) to their vault entry.
+//
+// Stored as { version, salt, iterations, check, keys: { keyRef -> { iv, data, createdAt, updatedAt } } },
+// where check is a known value encrypted with the same key to tell a wrong passphrase.
+
+import { listStoredKeys, deleteStoredKey } from './keysApi'
+
+const VAULT_VERSION = 1
+const PBKDF2_ITERATIONS = 310000
+const CHECK_VALUE = 'arena-key-vault'
+const DEFAULT_AUTO_LOCK_MINUTES = 15
+
+export const MIN_PASSPHRASE_LENGTH = 8
+
+// Minutes of inactivity before the vault locks itself, 0 for never
+export const AUTO_LOCK_OPTIONS = [5, 15, 30, 60, 0]
+
+let vaultKey = null // CryptoKey of the unlocked vault
+
+const loadVault = () => JSON.parse(localStorage.getItem('keyVault') || 'null')
+
+const storeVault = (vault) => {
+  localStorage.setItem('keyVault', JSON.stringify(vault))
+}
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0))
+
+const deriveKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  )
+}
+
+const encrypt = async (key, text) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text))
+  return { iv: toBase64(iv), data: toBase64(data) }
+}
+
+const decrypt = async (key, { iv, data }) => {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data))
+  return new TextDecoder().decode(plain)
+}
+
+// WebCrypto is only available on https:// pages and localhost
+export const isVaultSupported = () => Boolean(globalThis.crypto?.subtle)
+
+export const hasVault = () => loadVault() !== null
+
+export const isVaultUnlocked = () => vaultKey !== null
+
+// Starts an empty vault and leaves it unlocked
+export const createVault = async (passphrase) => {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase needs at least ${MIN_PASSPHRASE_LENGTH} characters`)
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16))
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS)
+  storeVault({
+    version: VAULT_VERSION,
+    salt: toBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    check: await encrypt(key, CHECK_VALUE),
+    keys: {}
+  })
+  vaultKey = key
+  return {}
+}
+
+// Returns the decrypted keys, { keyRef -> apiKey }
+export const unlockVault = async (passphrase) => {
+  const vault = loadVault()
+  if (!vault) throw new Error('No vault to unlock')
+
+  const key = await deriveKey(passphrase, fromBase64(vault.salt), vault.iterations)
+  try {
+    if (await decrypt(key, vault.check) !== CHECK_VALUE) throw new Error()
+  } catch {
+    throw new Error('Wrong passphrase')
+  }
+
+  const entries = await Promise.all(Object.entries(vault.keys).map(async ([keyRef, entry]) => [keyRef, await decrypt(key, entry)]))
+  vaultKey = key
+  return Object.fromEntries(entries)
+}
+
+export const lockVault = () => {
+  vaultKey = null
+}
+
+export const storeKey = async (keyRef, apiKey) => {
+  if (!vaultKey) throw new Error('The vault is locked')
+
+  const vault = loadVault()
+  const now = new Date().toISOString()
+  vault.keys[keyRef] = {
+    ...await encrypt(vaultKey, apiKey),
+    createdAt: vault.keys[keyRef]?.createdAt ?? now,
+    updatedAt: now
+  }
+  storeVault(vault)
+}
+
+export const deleteKey = (keyRef) => {
+  const vault = loadVault()
+  if (!vault?.keys[keyRef]) return
+
+  delete vault.keys[keyRef]
+  storeVault(vault)
+}
+
+// Key metadata, readable while locked: [{ provider, createdAt, updatedAt }]
+export const listVaultKeys = () =>
+  Object.entries(loadVault()?.keys || {}).map(([provider, { createdAt, updatedAt }]) => ({ provider, createdAt, updatedAt }))
+
+export const loadAutoLockMinutes = () => {
+  const saved = parseInt(localStorage.getItem('vaultAutoLock'), 10)
+  return Number.isFinite(saved) ? saved : DEFAULT_AUTO_LOCK_MINUTES
+}
+
+export const saveAutoLockMinutes = (minutes) => {
+  localStorage.setItem('vaultAutoLock', String(minutes))
+}
+
+// Wipes everything the app keeps in this browser (vault, grid, presets, settings),
+// along with keys older versions stored on the server for this session
+export const clearAllData = async () => {
+  lockVault()
+  const serverKeys = await listStoredKeys()
+  await Promise.all(serverKeys.map(({ provider }) => deleteStoredKey(provider)))
+  localStorage.clear()
+}
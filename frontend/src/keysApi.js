@@ -0,0 +1,54 @@
+// Requests to the /api/keys endpoints. Keys live in the browser's key vault now;
+// the server-side store is only read to clean up keys saved by older versions.
+
+// Providers with a stored key, with when each key was saved: [{ provider, createdAt, updatedAt }]
+export const listStoredKeys = async () => {
+  try {
+    const response = await fetch('/api/keys/list', { credentials: 'include' });
+
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+    const data = await response.json();
+    return data.keys || (data.providers || []).map(provider => ({ provider }));
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    return [];
+  }
+};
+
+export const deleteStoredKey = async (provider) => {
+  try {
+    const response = await fetch('/api/keys/delete', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ provider })
+    });
+
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting API key:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Sends a one-line request with the given key; model is optional for built-in
+// providers, custom providers need both model and baseUrl
+export const testApiKey = async (provider, apiKey, model, baseUrl) => {
+  try {
+    const response = await fetch('/api/keys/test', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ provider, apiKey, model, baseUrl })
+    });
+
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    return data;
+  } catch (error) {
+    console.error('Error testing API key:', error);
+    return { valid: false, error: error.message };
+  }
+};
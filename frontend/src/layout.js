@@ -0,0 +1,52 @@
+// Arena grid layout: how the chat columns are arranged, stored in localStorage
+// as { layout: 'columns' | 'grid' | 'tabs', syncScroll }
+
+export const LAYOUTS = [
+  { id: 'columns', label: '▥ Columns', title: 'One row of columns, scroll sideways' },
+  { id: 'grid', label: '▦ 2×N', title: 'Two rows of columns' },
+  { id: 'tabs', label: '▭ Tabs', title: 'One column at a time, pinned columns stay beside it' }
+]
+
+// dataTransfer type of a column being dragged to a new position
+export const COLUMN_DRAG_TYPE = 'application/x-arena-column'
+
+const DEFAULT_LAYOUT = { layout: 'columns', syncScroll: false }
+
+export const loadLayout = () => ({ ...DEFAULT_LAYOUT, ...JSON.parse(localStorage.getItem('arenaLayout') || '{}') })
+
+export const saveLayout = (layout) => {
+  localStorage.setItem('arenaLayout', JSON.stringify(layout))
+}
+
+// Moves the item with id fromId to where toId is, shifting the rest
+export const moveItem = (items, fromId, toId) => {
+  const from = items.findIndex(item => item.id === fromId)
+  const to = items.findIndex(item => item.id === toId)
+  if (from === -1 || to === -1 || from === to) return items
+
+  const moved = [...items]
+  const [item] = moved.splice(from, 1)
+  moved.splice(to, 0, item)
+  return moved
+}
+
+// Elements scrolled by syncScroll itself, so their own scroll events aren't echoed back
+const echoes = new WeakSet()
+
+// Scrolls every other pane in container to the same relative position as source
+export const syncScroll = (container, source, selector) => {
+  if (echoes.has(source)) {
+    echoes.delete(source)
+    return
+  }
+
+  const range = source.scrollHeight - source.clientHeight
+  const ratio = range > 0 ? source.scrollTop / range : 0
+  for (const pane of container.querySelectorAll(selector)) {
+    if (pane === source || pane.offsetParent === null) continue // Skip hidden columns
+    const target = Math.round(ratio * (pane.scrollHeight - pane.clientHeight))
+    if (Math.abs(pane.scrollTop - target) < 1) continue
+    echoes.add(pane)
+    pane.scrollTop = target
+  }
+}
@@ -0,0 +1,14 @@
+// Model identifiers look like "provider-modelName-timestamp-index-random",
+// e.g. "openai-gpt-4o-1710000000000-0-abc12". The backend relies on this
+// format too (see extractModelName in Controller.java).
+
+export const createModelIdentifier = (provider, modelName, index = 0) =>
+  // Random suffix prevents ID collisions in fast loops
+  `${provider}-${modelName}-${Date.now()}-${index}-${Math.random().toString(36).substr(2, 5)}`
+
+export const parseModelIdentifier = (modelIdentifier = '') => {
+  const provider = modelIdentifier.split('-')[0]
+  const withoutProvider = modelIdentifier.substring(provider.length + 1)
+  const model = withoutProvider.replace(/-\d{13,}-\d+-[a-z0-9]{5}$/, '')
+  return { provider, model: model || withoutProvider }
+}
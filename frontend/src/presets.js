@@ -0,0 +1,89 @@
+// Named arena presets: a model lineup with its per-instance settings, stored in
+// localStorage as [{ name, models: [{ provider, name, params }], updatedAt }].
+// Presets never carry API keys, so they can be exported and shared as they are.
+
+import { isValidCustomProviderId } from './customProviders'
+
+const PRESET_FILE_TYPE = 'arena-presets'
+const PRESET_FILE_VERSION = 1
+
+export const loadPresets = () => JSON.parse(localStorage.getItem('arenaPresets') || '[]')
+
+export const savePresets = (presets) => {
+  localStorage.setItem('arenaPresets', JSON.stringify(presets))
+}
+
+// The grid's models only point at their key in the key vault (keyRef), so they are stored as they are
+export const saveActiveModels = (models) => {
+  localStorage.setItem('activeModels', JSON.stringify(models))
+}
+
+export const toPreset = (name, models) => ({
+  name: name.trim(),
+  models: models.map(model => ({
+    provider: model.provider,
+    name: model.name,
+    ...(model.params && Object.keys(model.params).length > 0 && { params: model.params })
+  })),
+  updatedAt: new Date().toISOString()
+})
+
+// Adds or replaces presets by name, keeping the existing order
+export const mergePresets = (existing, incoming) => {
+  const merged = [...existing]
+  for (const preset of incoming) {
+    const index = merged.findIndex(p => p.name === preset.name)
+    if (index === -1) merged.push(preset)
+    else merged[index] = preset
+  }
+  return merged
+}
+
+// Export file: the presets plus the definitions of the custom providers they use
+export const toPresetFile = (presets, customProviders = []) => {
+  const usedProviders = new Set(presets.flatMap(p => p.models.map(m => m.provider)))
+  return JSON.stringify({
+    type: PRESET_FILE_TYPE,
+    version: PRESET_FILE_VERSION,
+    presets,
+    customProviders: customProviders
+      .filter(p => usedProviders.has(p.id))
+      .map(({ id, name, baseUrl, icon }) => ({ id, name, baseUrl, icon }))
+  }, null, 2)
+}
+
+// Providers with a "-" would break the model identifiers built from them
+const isValidPresetModel = (model) =>
+  model && typeof model.provider === 'string' && !model.provider.includes('-') && typeof model.name === 'string'
+
+// Parses an exported file, throwing on anything that isn't one
+export const parsePresetFile = (text) => {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('The file is not valid JSON')
+  }
+
+  if (data?.type !== PRESET_FILE_TYPE || !Array.isArray(data.presets)) {
+    throw new Error('The file does not contain arena presets')
+  }
+
+  const presets = data.presets
+    .filter(p => p && typeof p.name === 'string' && p.name.trim() && Array.isArray(p.models))
+    .map(p => ({
+      name: p.name.trim(),
+      models: p.models.filter(isValidPresetModel).map(({ provider, name, params }) => ({
+        provider,
+        name,
+        ...(params && typeof params === 'object' && { params })
+      })),
+      updatedAt: p.updatedAt || new Date().toISOString()
+    }))
+  if (presets.length === 0) throw new Error('The file contains no presets')
+
+  const customProviders = (Array.isArray(data.customProviders) ? data.customProviders : [])
+    .filter(p => p && isValidCustomProviderId(p.id) && typeof p.baseUrl === 'string')
+
+  return { presets, customProviders }
+}
@@ -0,0 +1,76 @@
+// Token pricing and spend tracking. Prices are USD per million tokens, keyed by
+// model name; user edits are stored in localStorage over the defaults below.
+
+// List prices at the time of writing; edit them in the pricing panel when they change
+export const DEFAULT_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-opus-4-20250514': { input: 15, output: 75 },
+  'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+  'claude-3-opus-20240229': { input: 15, output: 75 },
+  'claude-3-sonnet-20240229': { input: 3, output: 15 },
+  'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'mistral-large-latest': { input: 2, output: 6 },
+  'mistral-small-latest': { input: 0.2, output: 0.6 },
+  'deepseek-chat': { input: 0.27, output: 1.1 }
+}
+
+// Rough guess used before a reply exists (batch estimates)
+export const DEFAULT_OUTPUT_TOKENS = 500
+
+export const loadPricing = () => ({
+  ...DEFAULT_PRICES,
+  ...JSON.parse(localStorage.getItem('modelPricing') || '{}')
+})
+
+// Only entries that differ from the defaults are stored
+export const savePricing = (pricing) => {
+  const overrides = Object.fromEntries(Object.entries(pricing).filter(([model, price]) =>
+    DEFAULT_PRICES[model]?.input !== price.input || DEFAULT_PRICES[model]?.output !== price.output))
+  localStorage.setItem('modelPricing', JSON.stringify(overrides))
+}
+
+// null when the model has no price or the provider reported no usage
+export const estimateCost = (usage, price) => {
+  if (!usage || !price || (usage.inputTokens == null && usage.outputTokens == null)) return null
+  return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6
+}
+
+// About four characters per token for English text
+export const estimateTokens = (text = '') => Math.ceil(text.length / 4)
+
+export const addUsage = (a = {}, b = {}) => ({
+  inputTokens: (a.inputTokens || 0) + (b.inputTokens || 0),
+  outputTokens: (a.outputTokens || 0) + (b.outputTokens || 0)
+})
+
+export const formatCost = (cost) => {
+  if (cost == null) return '—'
+  if (cost > 0 && cost < 0.01) return `$${cost.toFixed(4)}`
+  return `$${cost.toFixed(2)}`
+}
+
+export const formatTokens = (count = 0) =>
+  count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count)
+
+// Running spend: { total, since } plus an optional budget, both in USD
+export const loadSpend = () =>
+  JSON.parse(localStorage.getItem('spendTracker') || 'null') || { total: 0, since: new Date().toISOString() }
+
+export const saveSpend = (spend) => localStorage.setItem('spendTracker', JSON.stringify(spend))
+
+export const loadBudget = () => {
+  const budget = parseFloat(localStorage.getItem('spendBudget'))
+  return Number.isFinite(budget) ? budget : null
+}
+
+export const saveBudget = (budget) => {
+  if (budget == null) localStorage.removeItem('spendBudget')
+  else localStorage.setItem('spendBudget', String(budget))
+}
@@ -0,0 +1,74 @@
+// Bradley-Terry ratings on the Elo scale, computed from pairwise matches.
+// A match is { winner, loser } where both are leaderboard keys.
+
+const BASE_RATING = 1000
+const ITERATIONS = 100
+const BOOTSTRAP_SAMPLES = 200
+
+// Fits Bradley-Terry strengths with the MM algorithm (Hunter, 2004).
+// Every player also gets one virtual win and one virtual loss against a
+// fixed anchor of strength 1, which keeps unbeaten or winless players finite.
+const fitStrengths = (matches, players) => {
+  const wins = new Map(players.map(p => [p, 1]))
+  const games = new Map(players.map(p => [p, new Map()]))
+
+  for (const { winner, loser } of matches) {
+    wins.set(winner, wins.get(winner) + 1)
+    games.get(winner).set(loser, (games.get(winner).get(loser) || 0) + 1)
+    games.get(loser).set(winner, (games.get(loser).get(winner) || 0) + 1)
+  }
+
+  let strengths = new Map(players.map(p => [p, 1]))
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    const next = new Map()
+    for (const player of players) {
+      const own = strengths.get(player)
+      let denominator = 2 / (own + 1) // The two virtual games against the anchor
+      for (const [opponent, count] of games.get(player)) {
+        denominator += count / (own + strengths.get(opponent))
+      }
+      next.set(player, wins.get(player) / denominator)
+    }
+    strengths = next
+  }
+
+  return strengths
+}
+
+const toRating = (strength) => BASE_RATING + 400 * Math.log10(strength)
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))]
+
+// Returns Map<player, { rating, low, high, games }> where low/high bound a
+// 95% bootstrap confidence interval.
+export const computeRatings = (matches) => {
+  const players = [...new Set(matches.flatMap(m => [m.winner, m.loser]))]
+  if (players.length === 0) return new Map()
+
+  const strengths = fitStrengths(matches, players)
+
+  // Resample the matches with replacement and refit
+  const samples = new Map(players.map(p => [p, []]))
+  for (let sample = 0; sample < BOOTSTRAP_SAMPLES; sample++) {
+    const resampled = Array.from({ length: matches.length }, () => matches[Math.floor(Math.random() * matches.length)])
+    const sampleStrengths = fitStrengths(resampled, players)
+    for (const player of players) samples.get(player).push(toRating(sampleStrengths.get(player)))
+  }
+
+  return new Map(players.map(player => {
+    const sorted = samples.get(player).sort((a, b) => a - b)
+    return [player, {
+      rating: toRating(strengths.get(player)),
+      low: percentile(sorted, 0.025),
+      high: percentile(sorted, 0.975),
+      games: matches.filter(m => m.winner === player || m.loser === player).length
+    }]
+  }))
+}
+
+// Expands winner selections into one match per competitor on the grid
+export const toMatches = (winners, toKey) =>
+  winners.flatMap(w => (w.competitors || []).map(competitor => ({
+    winner: toKey(w.modelIdentifier),
+    loser: toKey(competitor)
+  }))).filter(m => m.winner !== m.loser)
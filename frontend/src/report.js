@@ -0,0 +1,250 @@
+// Shareable reports of one or more rounds, as Markdown, self-contained HTML or JSON.
+// JSON reports can be imported back and opened read-only (see ReportView).
+//
+// A report round is { roundId, prompt, startedAt, expected, responseSchema, attachments,
+// winner, judgeVerdict, entries: [{ modelIdentifier, provider, model, params, response,
+// error, latencyMs, firstTokenMs, usage, cost, scores, validation }] }, winner being
+// the modelIdentifier of the 👑 pick or null.
+
+import { Marked } from 'marked'
+import DOMPurify from 'dompurify'
+import { parseModelIdentifier } from './modelIdentifier'
+import { describeParams } from './generationParams'
+import { SCORE_LABELS } from './scoring'
+import { formatCost } from './pricing'
+import { findSchemaError } from './structuredOutput'
+
+const REPORT_FORMAT = 'arena-report'
+const REPORT_VERSION = 1
+
+export const REPORT_FORMATS = [
+  { id: 'markdown', label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  { id: 'html', label: 'HTML', extension: 'html', mimeType: 'text/html' },
+  { id: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' }
+]
+
+const toReportEntry = (modelIdentifier, entry) => ({
+  modelIdentifier,
+  ...parseModelIdentifier(modelIdentifier),
+  params: entry.params ?? null,
+  response: entry.response ?? '',
+  error: entry.error ?? null,
+  latencyMs: entry.totalMs ?? entry.responseTimeMs ?? null,
+  firstTokenMs: entry.firstTokenMs ?? null,
+  usage: entry.usage ?? null,
+  cost: entry.cost ?? null,
+  scores: entry.scores ?? null,
+  validation: entry.validation ?? null
+})
+
+// The arena's current round (see roundCoordinator.js)
+export const fromArenaRound = (round, winner = null) => ({
+  roundId: round.id,
+  prompt: round.prompt,
+  startedAt: new Date(round.startedAt).toISOString(),
+  expected: round.expected ?? null,
+  responseSchema: round.responseSchema ?? null,
+  attachments: round.attachments.map(a => a.name),
+  winner,
+  judgeVerdict: round.judgeVerdict ?? null,
+  entries: round.order.map(modelId => toReportEntry(modelId, round.entries[modelId]))
+})
+
+// A round of the history panel, saved whole or grouped from single replies
+export const fromHistoryRound = (round) => ({
+  roundId: String(round.id),
+  prompt: round.prompt,
+  startedAt: new Date(round.startedAt).toISOString(),
+  expected: round.expected ?? null,
+  responseSchema: round.responseSchema ?? null,
+  attachments: round.attachments ?? [],
+  winner: round.winner ?? null,
+  judgeVerdict: round.judgeVerdict ?? null,
+  entries: round.entries.map(entry => toReportEntry(entry.modelIdentifier, entry))
+})
+
+const modelLabel = (entry) => `${entry.provider}/${entry.model}`
+
+const formatLatency = (ms) => ms == null ? null : `${(ms / 1000).toFixed(1)}s`
+
+const formatScores = (scores) => Object.keys(SCORE_LABELS)
+  .filter(metric => scores[metric] !== undefined)
+  .map(metric => `${SCORE_LABELS[metric]} ${typeof scores[metric] === 'boolean' ? (scores[metric] ? '✓' : '✗') : scores[metric].toFixed(2)}`)
+  .join(', ')
+
+// Place the judge gave each entry, 1 for best
+const judgeRank = (round, entry) => {
+  const rank = round.judgeVerdict?.ranking?.indexOf(entry.modelIdentifier) ?? -1
+  return rank === -1 ? null : rank + 1
+}
+
+// One line per fact about an entry, shared by the Markdown and HTML reports
+const describeEntry = (round, entry) => [
+  entry.params && describeParams(entry.params) && `Parameters: ${describeParams(entry.params)}`,
+  entry.params?.systemPrompt && `System prompt: ${entry.params.systemPrompt}`,
+  entry.latencyMs != null && `Latency: ${formatLatency(entry.latencyMs)}${entry.firstTokenMs != null ? ` (first token ${formatLatency(entry.firstTokenMs)})` : ''}`,
+  entry.usage && `Tokens: ${entry.usage.inputTokens ?? '?'} in → ${entry.usage.outputTokens ?? '?'} out${entry.cost != null ? ` · ${formatCost(entry.cost)}` : ''}`,
+  entry.scores && `Expected answer: ${entry.scores.match ? 'match' : 'no match'} (${formatScores(entry.scores)})`,
+  entry.validation && `Schema: ${entry.validation.valid ? 'valid' : `${entry.validation.errorCount} error(s)`}`,
+  judgeRank(round, entry) && `Judge: #${judgeRank(round, entry)}`
+].filter(Boolean)
+
+const winnerLabel = (round) => {
+  const winner = round.entries.find(e => e.modelIdentifier === round.winner)
+  return winner ? modelLabel(winner) : null
+}
+
+export const toReportJson = (rounds) => JSON.stringify({
+  format: REPORT_FORMAT,
+  version: REPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  rounds
+}, null, 2)
+
+export const toReportMarkdown = (rounds) => [
+  `# Arena report`,
+  `Exported ${new Date().toLocaleString()} · ${rounds.length} round(s)`,
+  ...rounds.map((round, i) => [
+    `## Round ${i + 1}: ${new Date(round.startedAt).toLocaleString()}`,
+    `**Prompt**\n\n${round.prompt}`,
+    round.attachments.length > 0 && `📎 ${round.attachments.join(', ')}`,
+    round.expected && `**Expected answer**\n\n${round.expected}`,
+    round.responseSchema && `**JSON schema**\n\n\`\`\`json\n${JSON.stringify(round.responseSchema, null, 2)}\n\`\`\``,
+    `**Winner:** ${winnerLabel(round) ? `👑 ${winnerLabel(round)}` : 'none picked'}`,
+    round.judgeVerdict && `**Judge (${round.judgeVerdict.judge}):** ${round.judgeVerdict.rationale || 'no rationale'}`,
+    ...round.entries.map(entry => [
+      `### ${round.winner === entry.modelIdentifier ? '👑 ' : ''}${modelLabel(entry)}`,
+      describeEntry(round, entry).map(line => `- ${line}`).join('\n'),
+      entry.error ? `> ⚠️ ${entry.error}` : entry.response
+    ].filter(Boolean).join('\n\n'))
+  ].filter(Boolean).join('\n\n'))
+].join('\n\n')
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// Replies are rendered as Markdown without the app's highlighting so the file needs nothing else
+const markdown = new Marked({ gfm: true, breaks: true })
+const renderMarkdown = (text) => DOMPurify.sanitize(markdown.parse(text || ''))
+
+const HTML_STYLE = `
+body { margin: 0 auto; max-width: 1200px; padding: 24px; background: #1f1e1e; color: #eee; font-family: system-ui, -apple-system, "Segoe UI", sans-serif; line-height: 1.5; }
+h1, h2 { margin-bottom: 4px; }
+.meta { color: #aaa; font-size: 0.9em; }
+.round { margin: 32px 0; padding-top: 16px; border-top: 1px solid #444; }
+.prompt, .expected { padding: 12px 16px; border-radius: 12px; background: #3b3a6b; white-space: pre-wrap; }
+.expected { background: #2d3b2d; }
+.grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 16px; margin-top: 16px; }
+.entry { padding: 12px 16px; border-radius: 12px; background: #302e2e; overflow-wrap: anywhere; }
+.entry.winner { outline: 2px solid #ffd700; }
+.entry h3 { margin: 0 0 6px; font-size: 1em; }
+.entry ul { margin: 0 0 8px; padding-left: 18px; color: #aaa; font-size: 0.85em; }
+.error { color: #f87171; }
+pre { overflow-x: auto; padding: 8px; border-radius: 8px; background: #161616; }
+code { font-family: ui-monospace, Menlo, monospace; }
+table { border-collapse: collapse; } td, th { border: 1px solid #555; padding: 4px 8px; }
+`
+
+export const toReportHtml = (rounds) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Arena report</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>Arena report</h1>
+<p class="meta">Exported ${escapeHtml(new Date().toLocaleString())} · ${rounds.length} round(s)</p>
+${rounds.map((round, i) => `<section class="round">
+<h2>Round ${i + 1}</h2>
+<p class="meta">${escapeHtml(new Date(round.startedAt).toLocaleString())} · Winner: ${winnerLabel(round) ? `👑 ${escapeHtml(winnerLabel(round))}` : 'none picked'}${round.attachments.length > 0 ? ` · 📎 ${escapeHtml(round.attachments.join(', '))}` : ''}</p>
+<div class="prompt">${escapeHtml(round.prompt)}</div>
+${round.expected ? `<p class="meta">Expected answer</p><div class="expected">${escapeHtml(round.expected)}</div>` : ''}
+${round.responseSchema ? `<details><summary class="meta">JSON schema</summary><pre><code>${escapeHtml(JSON.stringify(round.responseSchema, null, 2))}</code></pre></details>` : ''}
+${round.judgeVerdict ? `<p class="meta">⚖️ Judge (${escapeHtml(round.judgeVerdict.judge)}): ${escapeHtml(round.judgeVerdict.rationale || 'no rationale')}</p>` : ''}
+<div class="grid">
+${round.entries.map(entry => `<article class="entry${round.winner === entry.modelIdentifier ? ' winner' : ''}">
+<h3>${round.winner === entry.modelIdentifier ? '👑 ' : ''}${escapeHtml(modelLabel(entry))}</h3>
+<ul>${describeEntry(round, entry).map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+${entry.error ? `<p class="error">⚠️ ${escapeHtml(entry.error)}</p>` : renderMarkdown(entry.response)}
+</article>`).join('\n')}
+</div>
+</section>`).join('\n')}
+</body>
+</html>
+`
+
+export const toReport = (formatId, rounds) => ({
+  markdown: toReportMarkdown,
+  html: toReportHtml,
+  json: toReportJson
+})[formatId](rounds)
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+const isOptional = (value, check) => value == null || check(value)
+const isString = (value) => typeof value === 'string'
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+const isStringList = (value) => Array.isArray(value) && value.every(isString)
+
+// The fields the report view renders or formats, checked so a hand-edited file can't crash it
+const isValidEntry = (entry) =>
+  isString(entry.modelIdentifier) &&
+  isOptional(entry.response, isString) &&
+  isOptional(entry.error, isString) &&
+  isOptional(entry.params, isObject) &&
+  isOptional(entry.latencyMs, isNumber) &&
+  isOptional(entry.firstTokenMs, isNumber) &&
+  isOptional(entry.usage, usage => isObject(usage) &&
+    isOptional(usage.inputTokens, isNumber) && isOptional(usage.outputTokens, isNumber)) &&
+  isOptional(entry.cost, isNumber) &&
+  isOptional(entry.scores, scores => isObject(scores) &&
+    Object.values(scores).every(score => typeof score === 'boolean' || isNumber(score))) &&
+  isOptional(entry.validation, validation => isObject(validation) &&
+    typeof validation.valid === 'boolean' && isNumber(validation.errorCount))
+
+const isValidRound = (round) =>
+  isObject(round) &&
+  isString(round.prompt) &&
+  !Number.isNaN(new Date(round.startedAt).getTime()) &&
+  isOptional(round.expected, isString) &&
+  isOptional(round.responseSchema, schema => isObject(schema) && findSchemaError(schema) === null) &&
+  isOptional(round.attachments, isStringList) &&
+  isOptional(round.winner, isString) &&
+  isOptional(round.judgeVerdict, verdict => isObject(verdict) && isString(verdict.judge) &&
+    isOptional(verdict.rationale, isString) && isOptional(verdict.ranking, isStringList)) &&
+  Array.isArray(round.entries) &&
+  round.entries.every(entry => isObject(entry) && isValidEntry(entry))
+
+// Reads a JSON report back; throws with a message the user can act on
+export const parseReport = (text) => {
+  let report
+  try {
+    report = JSON.parse(text)
+  } catch {
+    throw new Error('Not a JSON file')
+  }
+  if (report?.format !== REPORT_FORMAT || !Array.isArray(report.rounds)) {
+    throw new Error('Not an arena report: export one as JSON first')
+  }
+  if (report.version > REPORT_VERSION) {
+    throw new Error('This report comes from a newer version of the arena')
+  }
+  if (report.rounds.length === 0) throw new Error('The report has no rounds')
+
+  const invalidRound = report.rounds.findIndex(round => !isValidRound(round))
+  if (invalidRound !== -1) {
+    throw new Error(`Not an arena report: round ${invalidRound + 1} has missing or malformed fields`)
+  }
+
+  return {
+    exportedAt: isString(report.exportedAt) ? report.exportedAt : null,
+    rounds: report.rounds.map(round => ({
+      ...round,
+      attachments: round.attachments ?? [],
+      entries: round.entries.map(entry => toReportEntry(entry.modelIdentifier, { ...entry, totalMs: entry.latencyMs, responseTimeMs: null }))
+    }))
+  }
+}
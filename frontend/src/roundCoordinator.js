@@ -0,0 +1,143 @@
+// Round coordinator: one master prompt sent to the arena's models is a round.
+// A round is plain state, { id, prompt, attachments, concurrency, startedAt,
+// finishedAt, order, entries: { modelId -> entry } }, updated through the
+// functions below. Entries go queued -> running -> done | error, and at most
+// `concurrency` of them run at once (0 means no cap). Once finished, a round may
+// also carry the LLM judge's judgeVerdict, or judgeError when grading failed.
+// With an expected answer, each reply is scored against it as it arrives, and
+// with a responseSchema (structured output mode) it is validated against it.
+
+import { scoreReply } from './scoring'
+import { validateReply, summarizeValidation } from './structuredOutput'
+
+const DEFAULT_CONCURRENCY = 0
+
+export const CONCURRENCY_OPTIONS = [0, 1, 2, 3, 4, 6, 8]
+
+export const loadConcurrency = () => {
+  const saved = parseInt(localStorage.getItem('roundConcurrency'), 10)
+  return Number.isFinite(saved) ? saved : DEFAULT_CONCURRENCY
+}
+
+export const saveConcurrency = (concurrency) => {
+  localStorage.setItem('roundConcurrency', String(concurrency))
+}
+
+// Moves queued entries to running, in model order, while there is room
+const startQueued = (round) => {
+  const entries = { ...round.entries }
+  let running = Object.values(entries).filter(e => e.status === 'running').length
+
+  for (const modelId of round.order) {
+    if (round.concurrency > 0 && running >= round.concurrency) break
+    if (entries[modelId]?.status !== 'queued') continue
+    entries[modelId] = { ...entries[modelId], status: 'running', startedAt: Date.now() }
+    running++
+  }
+
+  const finished = Object.values(entries).every(e => e.status === 'done' || e.status === 'error')
+  return { ...round, entries, finishedAt: finished ? round.finishedAt ?? Date.now() : null }
+}
+
+// params: { modelId -> generation params }, kept on each entry for reports
+export const createRound = ({ prompt, expected = null, responseSchema = null, attachments = [], modelIds, params = {}, concurrency }) => startQueued({
+  id: crypto.randomUUID(),
+  prompt,
+  expected,
+  responseSchema,
+  attachments,
+  concurrency,
+  startedAt: Date.now(),
+  finishedAt: null,
+  order: modelIds,
+  entries: Object.fromEntries(modelIds.map(id => [id, { status: 'queued', params: params[id] ?? null }]))
+})
+
+// Records a model's reply (or failure); a retry after an error replaces it
+export const completeEntry = (round, reply) => {
+  if (!round.entries[reply.modelIdentifier]) return round
+  return startQueued({
+    ...round,
+    entries: {
+      ...round.entries,
+      [reply.modelIdentifier]: {
+        ...round.entries[reply.modelIdentifier],
+        status: reply.error ? 'error' : 'done',
+        response: reply.response,
+        error: reply.error ? reply.errorMessage || 'No reply' : null,
+        errorCategory: reply.errorCategory ?? null,
+        usage: reply.usage ?? null,
+        cost: reply.cost ?? null,
+        firstTokenMs: reply.firstTokenMs ?? null,
+        totalMs: reply.totalMs ?? null,
+        scores: round.expected && !reply.error ? scoreReply(round.expected, reply.response) : null,
+        validation: round.responseSchema && !reply.error
+          ? summarizeValidation(validateReply(round.responseSchema, reply.response))
+          : null
+      }
+    }
+  })
+}
+
+// A model removed from the arena mid-round no longer counts
+export const removeEntry = (round, modelId) => {
+  if (!round.entries[modelId]) return round
+  const entries = { ...round.entries }
+  delete entries[modelId]
+  return startQueued({ ...round, entries, order: round.order.filter(id => id !== modelId) })
+}
+
+// Aggregate state for the UI: "5/8 done, fastest: X"
+export const summarizeRound = (round) => {
+  const entries = Object.entries(round.entries)
+  const done = entries.filter(([, e]) => e.status === 'done')
+  const fastest = done
+    .filter(([, e]) => e.totalMs != null)
+    .sort(([, a], [, b]) => a.totalMs - b.totalMs)[0]
+
+  return {
+    total: entries.length,
+    finished: entries.filter(([, e]) => e.status === 'done' || e.status === 'error').length,
+    failed: entries.filter(([, e]) => e.status === 'error').length,
+    running: entries.filter(([, e]) => e.status === 'running').length,
+    queued: entries.filter(([, e]) => e.status === 'queued').length,
+    scored: entries.filter(([, e]) => e.scores).length,
+    matched: entries.filter(([, e]) => e.scores?.match).length,
+    validated: entries.filter(([, e]) => e.validation).length,
+    valid: entries.filter(([, e]) => e.validation?.valid).length,
+    fastest: fastest ? { modelId: fastest[0], totalMs: fastest[1].totalMs } : null,
+    complete: round.finishedAt !== null
+  }
+}
+
+// What /api/rounds stores of a round, without UI-only state such as a pending judge call
+export const toRoundRecord = (round) => ({
+  roundId: round.id,
+  prompt: round.prompt,
+  expected: round.expected,
+  responseSchema: round.responseSchema ?? null,
+  concurrency: round.concurrency,
+  startedAt: round.startedAt,
+  finishedAt: round.finishedAt,
+  attachments: round.attachments.map(a => a.name),
+  judgeVerdict: round.judgeVerdict ?? null,
+  entries: round.order.map(modelId => ({ modelIdentifier: modelId, ...round.entries[modelId] }))
+})
+
+// Persists the whole round as one record; saving the same round again updates it
+export const saveRound = async (round) => {
+  try {
+    const response = await fetch('/api/rounds', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(toRoundRecord(round))
+    })
+
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+    return { success: true }
+  } catch (error) {
+    console.error('Error saving round:', error)
+    return { success: false, error: error.message }
+  }
+}
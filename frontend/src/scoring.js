@@ -0,0 +1,153 @@
+// Scores a reply against a reference ("expected") answer. The expected answer is
+// plain text, a /pattern/flags regex, or a JSON object / array for structured answers.
+//
+// Scores are { match, exact, normalized, regex, json, overlap, rougeL }: the match
+// metrics are booleans, overlap (token F1) and rougeL (longest common subsequence F1)
+// run from 0 to 1, and metrics that don't apply to the expected answer are left out.
+// match is the headline pass / fail: the regex, else JSON equality, else the normalized match.
+
+// Longer replies are cut before the LCS, which is quadratic in the token count
+const MAX_LCS_TOKENS = 3000
+
+const REGEX_ANSWER = /^\/(.+)\/([dgimsuy]*)$/s
+
+export const SCORE_LABELS = {
+  exact: 'Exact',
+  normalized: 'Normalized',
+  regex: 'Regex',
+  json: 'JSON',
+  overlap: 'Token F1',
+  rougeL: 'ROUGE-L'
+}
+
+// Case, accents, punctuation and spacing don't count
+export const normalizeAnswer = (text) => text
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+
+const tokenize = (text) => normalizeAnswer(text).split(' ').filter(Boolean)
+
+const f1 = (common, expectedCount, replyCount) => {
+  if (common === 0) return 0
+  const precision = common / replyCount
+  const recall = common / expectedCount
+  return (2 * precision * recall) / (precision + recall)
+}
+
+// Bag-of-words overlap, as in SQuAD's F1
+const tokenF1 = (expectedTokens, replyTokens) => {
+  const counts = new Map()
+  for (const token of expectedTokens) counts.set(token, (counts.get(token) || 0) + 1)
+
+  let common = 0
+  for (const token of replyTokens) {
+    if (counts.get(token) > 0) {
+      common++
+      counts.set(token, counts.get(token) - 1)
+    }
+  }
+  return f1(common, expectedTokens.length, replyTokens.length)
+}
+
+const longestCommonSubsequence = (a, b) => {
+  let previous = new Array(b.length + 1).fill(0)
+  for (let i = 1; i <= a.length; i++) {
+    const current = new Array(b.length + 1).fill(0)
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1] ? previous[j - 1] + 1 : Math.max(previous[j], current[j - 1])
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+const rougeL = (expectedTokens, replyTokens) => {
+  const a = expectedTokens.slice(0, MAX_LCS_TOKENS)
+  const b = replyTokens.slice(0, MAX_LCS_TOKENS)
+  return f1(longestCommonSubsequence(a, b), a.length, b.length)
+}
+
+// { pattern, flags } for a /pattern/flags answer, null for anything else
+export const parseRegexAnswer = (expected) => {
+  const match = expected.trim().match(REGEX_ANSWER)
+  return match ? { pattern: match[1], flags: match[2] } : null
+}
+
+// Objects and arrays only: a bare "42" is better scored as text
+const parseJsonAnswer = (text) => {
+  try {
+    const value = JSON.parse(text)
+    return value !== null && typeof value === 'object' ? value : undefined
+  } catch {
+    return undefined
+  }
+}
+
+// A reply's JSON: the whole reply, a fenced block, or the outermost {...} / [...]
+export const extractJson = (reply) => {
+  const candidates = [
+    reply.trim(),
+    reply.match(/```(?:json)?\s*\n([\s\S]*?)```/)?.[1],
+    reply.slice(reply.indexOf('{'), reply.lastIndexOf('}') + 1),
+    reply.slice(reply.indexOf('['), reply.lastIndexOf(']') + 1)
+  ]
+  for (const candidate of candidates) {
+    const value = candidate ? parseJsonAnswer(candidate) : undefined
+    if (value !== undefined) return value
+  }
+  return undefined
+}
+
+// Key order doesn't matter, array order does
+const jsonEqual = (a, b) => {
+  if (a === b) return true
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false
+  if (Array.isArray(a) !== Array.isArray(b)) return false
+  const keysA = Object.keys(a)
+  const keysB = Object.keys(b)
+  return keysA.length === keysB.length && keysA.every(key => Object.hasOwn(b, key) && jsonEqual(a[key], b[key]))
+}
+
+// Explains what the expected answer will be scored as, or why it can't be used
+export const describeExpectedAnswer = (expected) => {
+  const regex = parseRegexAnswer(expected)
+  if (regex) {
+    try {
+      new RegExp(regex.pattern, regex.flags)
+      return { kind: 'regex', error: null }
+    } catch (error) {
+      return { kind: 'regex', error: `Invalid regex: ${error.message}` }
+    }
+  }
+  return { kind: parseJsonAnswer(expected.trim()) !== undefined ? 'json' : 'text', error: null }
+}
+
+export const scoreReply = (expected, reply = '') => {
+  const regex = parseRegexAnswer(expected)
+  if (regex) {
+    try {
+      const matched = new RegExp(regex.pattern, regex.flags).test(reply)
+      return { match: matched, regex: matched }
+    } catch {
+      return null // An invalid pattern scores nothing
+    }
+  }
+
+  const expectedTokens = tokenize(expected)
+  const replyTokens = tokenize(reply)
+  const scores = {
+    exact: reply.trim() === expected.trim(),
+    normalized: normalizeAnswer(reply) === normalizeAnswer(expected),
+    overlap: tokenF1(expectedTokens, replyTokens),
+    rougeL: rougeL(expectedTokens, replyTokens)
+  }
+
+  const expectedJson = parseJsonAnswer(expected.trim())
+  if (expectedJson !== undefined) scores.json = jsonEqual(extractJson(reply), expectedJson)
+
+  return { match: scores.json ?? scores.normalized, ...scores }
+}
@@ -0,0 +1,188 @@
+// Structured output mode: a JSON schema attached to the master prompt is sent to
+// the providers with the request, and every reply is parsed and validated here.
+//
+// The validator covers the JSON Schema keywords extraction schemas use: type, enum,
+// const, properties, required, additionalProperties, items, min/max(Length|Items),
+// minimum / maximum (and exclusive), pattern, allOf, anyOf and oneOf. $ref is not followed.
+// Errors are { path, message } with path a JSON pointer ("" for the root, "/items/0/name").
+
+import { extractJson } from './scoring'
+
+const isSchemaObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// Why a schema can't be used, or null: sub-schemas are objects or booleans and the
+// keywords the validator iterates hold arrays. path is where the problem sits.
+export const findSchemaError = (schema, path = '') => {
+  if (typeof schema === 'boolean') return null
+  if (!isSchemaObject(schema)) return `${path || 'The schema'} must be an object or a boolean`
+
+  for (const keyword of ['allOf', 'anyOf', 'oneOf']) {
+    if (schema[keyword] === undefined) continue
+    if (!Array.isArray(schema[keyword])) return `${path}/${keyword} must be an array of schemas`
+    for (const [i, sub] of schema[keyword].entries()) {
+      const error = findSchemaError(sub, `${path}/${keyword}/${i}`)
+      if (error) return error
+    }
+  }
+  if (schema.required !== undefined && !(Array.isArray(schema.required) && schema.required.every(name => typeof name === 'string'))) {
+    return `${path}/required must be an array of field names`
+  }
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) return `${path}/enum must be an array`
+  if (schema.properties !== undefined) {
+    if (!isSchemaObject(schema.properties)) return `${path}/properties must be an object`
+    for (const [name, sub] of Object.entries(schema.properties)) {
+      const error = findSchemaError(sub, childPath(`${path}/properties`, name))
+      if (error) return error
+    }
+  }
+  // items may also be a list of schemas (tuple validation, which the validator skips)
+  const subSchemas = [
+    ...(Array.isArray(schema.items) ? schema.items.map((sub, i) => [sub, `${path}/items/${i}`]) : [[schema.items, `${path}/items`]]),
+    [schema.additionalProperties, `${path}/additionalProperties`]
+  ]
+  for (const [sub, subPath] of subSchemas) {
+    const error = sub === undefined ? null : findSchemaError(sub, subPath)
+    if (error) return error
+  }
+  return null
+}
+
+// Checks the schema typed into the master input: { schema } or { error }
+export const parseSchema = (text) => {
+  let schema
+  try {
+    schema = JSON.parse(text)
+  } catch (error) {
+    return { error: `Invalid JSON: ${error.message}` }
+  }
+  if (!isSchemaObject(schema)) {
+    return { error: 'A JSON schema is an object, e.g. { "type": "object", "properties": { ... } }' }
+  }
+  const error = findSchemaError(schema)
+  return error ? { error } : { schema }
+}
+
+// JSON's types, with whole numbers as "integer"
+export const jsonType = (value) => {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+const matchesType = (value, type) =>
+  type === 'number' ? typeof value === 'number' : jsonType(value) === type
+
+// JSON pointer of a field or item inside path
+export const childPath = (path, key) => `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`
+
+// Malformed parts of a schema (see findSchemaError) pass rather than throw: schemas
+// also come back from saved rounds and imported reports
+const validate = (value, schema, path, errors) => {
+  if (schema === false) {
+    errors.push({ path, message: 'No value is allowed here' })
+    return
+  }
+  if (!isSchemaObject(schema)) return
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push({ path, message: `Must be ${JSON.stringify(schema.const)}` })
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ path, message: `Must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` })
+  }
+
+  if (Array.isArray(schema.allOf)) schema.allOf.forEach(sub => validate(value, sub, path, errors))
+  for (const [keyword, options] of [['anyOf', schema.anyOf], ['oneOf', schema.oneOf]]) {
+    if (!Array.isArray(options)) continue
+    const passing = options.filter(option => validateValue(value, option).length === 0).length
+    if (passing === 0) errors.push({ path, message: `Matches none of the ${keyword} options` })
+    else if (keyword === 'oneOf' && passing > 1) errors.push({ path, message: 'Matches more than one of the oneOf options' })
+  }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type)
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `Expected ${types.join(' or ')}, got ${jsonType(value)}` })
+      return // Checks for the expected type would only add noise
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `At least ${schema.minLength} characters` })
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `At most ${schema.maxLength} characters` })
+    }
+    if (schema.pattern) {
+      try {
+        if (!new RegExp(schema.pattern, 'u').test(value)) errors.push({ path, message: `Doesn't match ${schema.pattern}` })
+      } catch {
+        // A pattern JavaScript can't compile is skipped rather than failing every reply
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `At least ${schema.minimum}` })
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `At most ${schema.maximum}` })
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `Greater than ${schema.exclusiveMinimum}` })
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      errors.push({ path, message: `Less than ${schema.exclusiveMaximum}` })
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path, message: `At least ${schema.minItems} item(s)` })
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path, message: `At most ${schema.maxItems} item(s)` })
+    if (schema.items !== undefined && !Array.isArray(schema.items)) {
+      value.forEach((item, i) => validate(item, schema.items, childPath(path, i), errors))
+    }
+  }
+
+  if (jsonType(value) === 'object') {
+    const properties = isSchemaObject(schema.properties) ? schema.properties : {}
+    // Missing fields are reported on the object that should hold them
+    for (const name of Array.isArray(schema.required) ? schema.required : []) {
+      if (!Object.hasOwn(value, name)) errors.push({ path, message: `Missing required field "${name}"` })
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (Object.hasOwn(properties, name)) {
+        validate(item, properties[name], childPath(path, name), errors)
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, name), message: 'Field not in the schema' })
+      } else if (isSchemaObject(schema.additionalProperties)) {
+        validate(item, schema.additionalProperties, childPath(path, name), errors)
+      }
+    }
+  }
+}
+
+const validateValue = (value, schema) => {
+  const errors = []
+  validate(value, schema, '', errors)
+  return errors
+}
+
+// Any JSON value for a whole-reply answer, so schemas with a scalar root type work;
+// otherwise the JSON object or array the reply wraps in prose or a fenced block
+const parseReply = (reply) => {
+  try {
+    return JSON.parse(reply.trim())
+  } catch {
+    return extractJson(reply)
+  }
+}
+
+// Parses a reply and checks it: { parsed, value, errors }. parsed is false when no JSON was found.
+export const validateReply = (schema, reply = '') => {
+  const value = parseReply(reply)
+  if (value === undefined) return { parsed: false, value: undefined, errors: [{ path: '', message: 'The reply is not JSON' }] }
+  return { parsed: true, value, errors: validateValue(value, schema) }
+}
+
+// What a round keeps per reply: { valid, errorCount }
+export const summarizeValidation = ({ errors }) => ({ valid: errors.length === 0, errorCount: errors.length })
@@ -0,0 +1,35 @@
+// Exports of a chat column's conversation, used by the winner handoff
+
+// Only turns that actually happened: no pending, failed or empty replies
+const completedTurns = (messages) =>
+  messages.filter(m => !m.pending && !m.error && m.content)
+
+const attachmentLine = (message) =>
+  message.attachments?.length ? `\n\n📎 ${message.attachments.map(a => a.name).join(', ')}` : ''
+
+export const toMarkdownTranscript = ({ modelName, messages }) => [
+  `# Conversation with ${modelName}`,
+  ...completedTurns(messages).map(m =>
+    `## ${m.role === 'user' ? 'You' : modelName}\n\n${m.content}${attachmentLine(m)}`)
+].join('\n\n')
+
+export const toJsonTranscript = ({ modelName, modelIdentifier, provider, params, messages }) =>
+  JSON.stringify({
+    model: modelName,
+    modelIdentifier,
+    provider,
+    params,
+    exportedAt: new Date().toISOString(),
+    messages: completedTurns(messages).map(({ role, content, attachments, usage }) => ({
+      role,
+      content,
+      attachments: attachments?.map(a => a.name),
+      usage
+    }))
+  }, null, 2)
+
+// Text pasted into a provider's own chat so the conversation can continue there
+export const toHandoffText = ({ messages }) => [
+  'Here is a conversation so far. Continue it from the last reply.',
+  ...completedTurns(messages).map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
+].join('\n\n')